@@ -1,103 +1,261 @@
 // config/passport.js
 const passport = require("passport");
+const jwt = require("jsonwebtoken");
+const OAuth2Strategy = require("passport-oauth2");
 const GoogleStrategy = require("passport-google-oauth20").Strategy;
+const GitHubStrategy = require("passport-github2").Strategy;
 const pool = require("./db"); // ✅ FIXED: Remove destructuring
+const { resolveProviderSignIn } = require("../services/identities");
+const { getJson } = require("../services/providers/http");
+const { recordAuditEvent } = require("../services/audit");
 require("dotenv").config();
 
-// ✅ Validate environment variables
-if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
-    console.error("❌ ERROR: Missing Google OAuth credentials in .env file");
-    console.error("   Please set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET");
-    process.exit(1);
-}
-
-passport.use(
-    new GoogleStrategy(
-        {
-            clientID: process.env.GOOGLE_CLIENT_ID,
-            clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-            callbackURL: process.env.GOOGLE_CALLBACK_URL || "http://localhost:5500/api/auth/google/callback",
-            // ✅ Add these options for better compatibility
-            proxy: true,
-            passReqToCallback: false,
-        },
-        async (accessToken, refreshToken, profile, done) => {
-            try {
-                console.log("📥 Google OAuth callback received");
-                console.log("👤 Profile ID:", profile.id);
-                console.log("📧 Email:", profile.emails?.[0]?.value);
-
-                // ✅ Validate profile data
-                if (!profile.id) {
-                    console.error("❌ No profile ID received from Google");
-                    return done(new Error("Invalid profile data from Google"), null);
-                }
+const APP_URL = (process.env.APP_URL || "http://localhost:5500").replace(/\/$/, "");
 
-                const email = profile.emails?.[0]?.value;
-                const fullName = profile.displayName;
-                const profilePicture = profile.photos?.[0]?.value;
+// Thrown by a provider's toProfile: the sign-in fails with a redirect instead of a 500
+const profileError = (message) => Object.assign(new Error(message), { code: "invalid_profile" });
 
-                if (!email) {
-                    console.error("❌ No email received from Google");
-                    return done(new Error("Email not provided by Google"), null);
-                }
+// What a provider sign-in did, for the audit log; plain sign-ins are
+// recorded by the callback handler
+const auditSignIn = (req, provider, outcome) => {
+    if (outcome.created) {
+        return recordAuditEvent("auth.register", {
+            req,
+            actorUserId: outcome.user.id,
+            target: `user:${outcome.user.id}`,
+            metadata: { method: provider },
+        });
+    }
+    if (outcome.linkedUserId) {
+        return recordAuditEvent("identity.linked", {
+            req,
+            actorUserId: outcome.linkedUserId,
+            target: `user:${outcome.linkedUserId}`,
+            metadata: { provider },
+        });
+    }
+    if (outcome.pendingLinkToken) {
+        return recordAuditEvent("identity.link_requested", {
+            req,
+            target: `user:${outcome.ownerUserId}`,
+            metadata: { provider },
+        });
+    }
+    if (outcome.error) {
+        return recordAuditEvent("auth.oauth_callback", {
+            req,
+            outcome: "failure",
+            metadata: { provider, reason: outcome.error },
+        });
+    }
+};
 
-                // Check if user exists
-                const userCheck = await pool.query(
-                    "SELECT * FROM users WHERE google_id = $1 OR email = $2",
-                    [profile.id, email]
-                );
-
-                let user;
-
-                if (userCheck.rows.length > 0) {
-                    // User exists - update their info
-                    user = userCheck.rows[0];
-                    console.log("✅ Existing user found:", user.id);
-
-                    // Update user info in case it changed
-                    await pool.query(
-                        `UPDATE users 
-                         SET full_name = $1, 
-                             profile_picture = $2, 
-                             google_id = $3,
-                             updated_at = NOW()
-                         WHERE id = $4`,
-                        [fullName, profilePicture, profile.id, user.id]
-                    );
-
-                    console.log("✅ User info updated");
-                } else {
-                    // Create new user
-                    console.log("🆕 Creating new user...");
-
-                    const result = await pool.query(
-                        `INSERT INTO users (full_name, email, google_id, profile_picture, username, created_at, updated_at)
-                         VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
-                         RETURNING *`,
-                        [
-                            fullName,
-                            email,
-                            profile.id,
-                            profilePicture,
-                            email.split("@")[0], // Use part before @ as username
-                        ]
-                    );
-
-                    user = result.rows[0];
-                    console.log("✅ New user created:", user.id);
-                }
+// Verify callback shared by every provider. toProfile maps what the provider
+// returned to { id, email, emailVerified, displayName, picture }.
+const verifyWith = (providerId, toProfile) => async (req, accessToken, refreshToken, params, profile, done) => {
+    try {
+        console.log(`📥 ${providerId} OAuth callback received`);
+        const normalized = await toProfile(profile, params);
+
+        // ✅ Validate profile data
+        if (!normalized.id) throw profileError(`No account ID received from ${providerId}`);
+        if (!normalized.email) throw profileError(`Email not provided by ${providerId}`);
+        console.log("👤 Profile ID:", normalized.id);
 
-                // Return user object
-                return done(null, user);
-            } catch (error) {
-                console.error("❌ OAuth Strategy Error:", error);
-                console.error("Stack:", error.stack);
-                return done(error, null);
-            }
+        // The provider's profile only fills in new accounts; it never
+        // overwrites the name or picture of an existing one
+        const outcome = await resolveProviderSignIn(
+            { provider: providerId, ...normalized },
+            // Set when a signed-in user started linking this provider from
+            // this browser (checked against the OAuth state in authRoutes)
+            { linkToken: req.oauthLinkToken }
+        );
+        await auditSignIn(req, providerId, outcome);
+
+        return done(null, outcome);
+    } catch (error) {
+        if (error.code === "invalid_profile") {
+            console.error("❌", error.message);
+            await recordAuditEvent("auth.oauth_callback", {
+                req,
+                outcome: "failure",
+                metadata: { provider: providerId, reason: error.message },
+            });
+            return done(null, false, { message: error.message });
         }
-    )
-);
+        console.error("❌ OAuth Strategy Error:", error);
+        console.error("Stack:", error.stack);
+        return done(error, null);
+    }
+};
+
+// ---------------------
+// Providers
+// ---------------------
+
+const google = {
+    name: "Google",
+    scope: ["profile", "email"],
+    isConfigured: () => Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET),
+    createStrategy: () =>
+        new GoogleStrategy(
+            {
+                clientID: process.env.GOOGLE_CLIENT_ID,
+                clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+                callbackURL: process.env.GOOGLE_CALLBACK_URL || `${APP_URL}/api/auth/google/callback`,
+                // Optional endpoint overrides, e.g. to sign in against a local mock provider
+                ...(process.env.GOOGLE_AUTHORIZATION_URL && { authorizationURL: process.env.GOOGLE_AUTHORIZATION_URL }),
+                ...(process.env.GOOGLE_TOKEN_URL && { tokenURL: process.env.GOOGLE_TOKEN_URL }),
+                ...(process.env.GOOGLE_USER_PROFILE_URL && { userProfileURL: process.env.GOOGLE_USER_PROFILE_URL }),
+                // ✅ Add these options for better compatibility
+                proxy: true,
+                passReqToCallback: true,
+            },
+            verifyWith("google", (profile) => ({
+                id: profile.id,
+                email: profile.emails?.[0]?.value,
+                // Google tells us whether it has confirmed the address
+                emailVerified: profile.emails?.[0]?.verified === true,
+                displayName: profile.displayName,
+                picture: profile.photos?.[0]?.value,
+            }))
+        ),
+};
+
+const GITHUB_SCOPE = ["read:user", "user:email"];
+
+const github = {
+    name: "GitHub",
+    scope: GITHUB_SCOPE,
+    isConfigured: () => Boolean(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET),
+    createStrategy: () =>
+        new GitHubStrategy(
+            {
+                clientID: process.env.GITHUB_CLIENT_ID,
+                clientSecret: process.env.GITHUB_CLIENT_SECRET,
+                callbackURL: process.env.GITHUB_CALLBACK_URL || `${APP_URL}/api/auth/github/callback`,
+                ...(process.env.GITHUB_AUTHORIZATION_URL && { authorizationURL: process.env.GITHUB_AUTHORIZATION_URL }),
+                ...(process.env.GITHUB_TOKEN_URL && { tokenURL: process.env.GITHUB_TOKEN_URL }),
+                ...(process.env.GITHUB_USER_PROFILE_URL && { userProfileURL: process.env.GITHUB_USER_PROFILE_URL }),
+                ...(process.env.GITHUB_USER_EMAIL_URL && { userEmailURL: process.env.GITHUB_USER_EMAIL_URL }),
+                // The strategy only fetches the email list when it knows user:email was granted
+                scope: GITHUB_SCOPE,
+                // Keep GitHub's verified flag on each address
+                allRawEmails: true,
+                passReqToCallback: true,
+            },
+            verifyWith("github", (profile) => {
+                // The primary address, which GitHub only lets users set to a verified one
+                const email = (profile.emails || []).find((entry) => entry.primary) || profile.emails?.[0];
+                return {
+                    id: profile.id,
+                    email: email?.value,
+                    emailVerified: email?.verified === true,
+                    displayName: profile.displayName || profile.username,
+                    picture: profile.photos?.[0]?.value,
+                };
+            })
+        ),
+};
+
+// Any OpenID Connect issuer, set up from its discovery document
+const oidc = {
+    name: process.env.OIDC_DISPLAY_NAME || "Single Sign-On",
+    scope: (process.env.OIDC_SCOPE || "openid profile email").split(" "),
+    isConfigured: () =>
+        Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID && process.env.OIDC_CLIENT_SECRET),
+    createStrategy: async () => {
+        const issuer = process.env.OIDC_ISSUER.replace(/\/$/, "");
+        const discovery = await getJson(`${issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+
+        if (discovery.issuer?.replace(/\/$/, "") !== issuer) {
+            throw new Error(`OIDC discovery issuer mismatch: ${discovery.issuer}`);
+        }
+
+        const strategy = new OAuth2Strategy(
+            {
+                authorizationURL: discovery.authorization_endpoint,
+                tokenURL: discovery.token_endpoint,
+                clientID: process.env.OIDC_CLIENT_ID,
+                clientSecret: process.env.OIDC_CLIENT_SECRET,
+                callbackURL: process.env.OIDC_CALLBACK_URL || `${APP_URL}/api/auth/oidc/callback`,
+                passReqToCallback: true,
+            },
+            // The ID token comes straight from the token endpoint over TLS, so
+            // its claims are checked but its signature is not (OIDC Core 3.1.3.7)
+            verifyWith("oidc", (userInfo, params) => {
+                const claims = params.id_token && jwt.decode(params.id_token);
+                if (!claims) throw profileError("No ID token received from the OIDC provider");
+
+                const audience = [].concat(claims.aud);
+                if (claims.iss !== discovery.issuer || !audience.includes(process.env.OIDC_CLIENT_ID)) {
+                    throw profileError("ID token was not issued for this app");
+                }
+                if (claims.exp && claims.exp * 1000 < Date.now()) throw profileError("ID token has expired");
+                if (userInfo.sub && userInfo.sub !== claims.sub) throw profileError("UserInfo subject mismatch");
+
+                const merged = { ...claims, ...userInfo };
+                return {
+                    id: claims.sub,
+                    email: merged.email,
+                    emailVerified: merged.email_verified === true,
+                    displayName: merged.name || merged.preferred_username,
+                    picture: merged.picture,
+                };
+            })
+        );
+        strategy.name = "oidc";
+
+        // Standard claims come from the UserInfo endpoint when there is one
+        strategy.userProfile = (accessToken, done) => {
+            if (!discovery.userinfo_endpoint) return done(null, {});
+            getJson(discovery.userinfo_endpoint, { headers: { Authorization: `Bearer ${accessToken}` } })
+                .then((userInfo) => done(null, userInfo))
+                .catch((error) => done(error));
+        };
+
+        return strategy;
+    },
+};
+
+const PROVIDERS = { google, github, oidc };
+
+// ---------------------
+// Registry
+// ---------------------
+
+// Strategies are created on first use; a failed OIDC discovery is retried
+// by the next sign-in instead of stopping the server
+const strategies = new Map();
+
+const getProvider = (id) => (Object.hasOwn(PROVIDERS, id) && PROVIDERS[id].isConfigured() ? PROVIDERS[id] : null);
+
+// Enabled providers, for the login page buttons
+const listProviders = () =>
+    Object.entries(PROVIDERS)
+        .filter(([, provider]) => provider.isConfigured())
+        .map(([id, provider]) => ({ id, name: provider.name }));
+
+const loadStrategy = (id) => {
+    if (!strategies.has(id)) {
+        const loading = Promise.resolve()
+            .then(() => PROVIDERS[id].createStrategy())
+            .then((strategy) => {
+                passport.use(id, strategy);
+                console.log(`✅ ${PROVIDERS[id].name} sign-in ready`);
+            })
+            .catch((error) => {
+                strategies.delete(id);
+                console.error(`❌ Could not set up ${PROVIDERS[id].name} sign-in:`, error.message);
+                throw error;
+            });
+        strategies.set(id, loading);
+    }
+    return strategies.get(id);
+};
+
+// Set up what can be set up now; OIDC discovery failures are only logged
+listProviders().forEach(({ id }) => loadStrategy(id).catch(() => {}));
 
 // Serialize user
 passport.serializeUser((user, done) => {
@@ -110,12 +268,12 @@ passport.deserializeUser(async (id, done) => {
     try {
         console.log("🔓 Deserializing user:", id);
         const result = await pool.query("SELECT * FROM users WHERE id = $1", [id]);
-        
+
         if (result.rows.length === 0) {
             console.error("❌ User not found during deserialization:", id);
             return done(new Error("User not found"), null);
         }
-        
+
         console.log("✅ User deserialized:", result.rows[0].id);
         done(null, result.rows[0]);
     } catch (error) {
@@ -124,4 +282,4 @@ passport.deserializeUser(async (id, done) => {
     }
 });
 
-module.exports = passport;
\ No newline at end of file
+module.exports = { passport, getProvider, listProviders, loadStrategy };
@@ -0,0 +1,166 @@
+// controllers/accountController.js
+const bcrypt = require("bcryptjs");
+const pool = require("../config/db");
+const { listExports, requestExport, getExportFile } = require("../services/dataExport");
+const { GRACE_DAYS, scheduleAccountDeletion, cancelAccountDeletion } = require("../services/accountDeletion");
+const { isTwoFactorEnabled, verifySecondFactor } = require("../services/twoFactor");
+const { revokeAllSessions } = require("../services/sessions");
+const { getRetryAfter, recordFailedAttempt, clearFailedAttempts, tooManyAttempts } = require("../services/loginThrottle");
+const { recordAuditEvent } = require("../services/audit");
+
+// Accounts without a password confirm deletion by having signed in this recently
+const REAUTH_WINDOW_MINUTES = 10;
+
+// Past and in-progress exports of the signed-in user
+const getDataExports = async (req, res) => {
+  try {
+    const exports = await listExports(req.user.id);
+    res.json({ exports });
+  } catch (error) {
+    console.error("Data export list error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Start building a ZIP of the user's data; poll the list until it is ready
+const createDataExport = async (req, res) => {
+  try {
+    const queued = await requestExport(req.user.id);
+    await recordAuditEvent("account.export_requested", {
+      req,
+      actorUserId: req.user.id,
+      target: `export:${queued.id}`,
+    });
+
+    res.status(202).json({ message: "Your export is being prepared", export: queued });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error("Data export request error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const downloadDataExport = async (req, res) => {
+  try {
+    const exportId = parseInt(req.params.exportId);
+    const file = Number.isInteger(exportId) ? await getExportFile(req.user.id, exportId) : null;
+
+    if (!file) {
+      return res.status(404).json({ error: "Export not found or expired" });
+    }
+
+    const date = new Date(file.created_at).toISOString().slice(0, 10);
+    res.download(file.file_path, `voxen-export-${date}.zip`, (error) => {
+      if (error && !res.headersSent) {
+        console.error("Data export download error:", error);
+        res.status(404).json({ error: "Export not found or expired" });
+      }
+    });
+  } catch (error) {
+    console.error("Data export download error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Schedule the account for deletion after the grace period. The user
+// confirms with their password (or a fresh sign-in without one) and their
+// 2FA code; every other session is signed out.
+const requestAccountDeletion = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+
+    const result = await pool.query("SELECT email, password_hash FROM users WHERE id = $1", [req.user.id]);
+    const { email, password_hash: passwordHash } = result.rows[0];
+
+    if (passwordHash) {
+      // Throttled like /login, so a stolen session can't guess the password
+      const attemptKeys = [["account", email.toLowerCase()], ["ip", req.ip]];
+      const retryAfter = await getRetryAfter(attemptKeys);
+      if (retryAfter > 0) return tooManyAttempts(res, retryAfter);
+
+      if (!password || !(await bcrypt.compare(password, passwordHash))) {
+        await recordFailedAttempt(attemptKeys, req);
+        return res.status(401).json({ error: "Password is incorrect", code: "invalid_password" });
+      }
+      await clearFailedAttempts("account", attemptKeys[0][1]);
+    } else {
+      const session = await pool.query(
+        "SELECT created_at > NOW() - make_interval(mins => $2) AS recent FROM sessions WHERE id = $1",
+        [req.user.sid, REAUTH_WINDOW_MINUTES]
+      );
+      if (!session.rows[0]?.recent) {
+        return res.status(401).json({
+          error: `Please sign in again, then delete your account within ${REAUTH_WINDOW_MINUTES} minutes`,
+          code: "reauth_required",
+        });
+      }
+    }
+
+    if (await isTwoFactorEnabled(req.user.id)) {
+      // Wrong codes are throttled per account, as at sign-in
+      const codeAttemptKeys = [["mfa", String(req.user.id)], ["ip", req.ip]];
+      const codeRetryAfter = await getRetryAfter(codeAttemptKeys);
+      if (codeRetryAfter > 0) return tooManyAttempts(res, codeRetryAfter);
+
+      if (!(await verifySecondFactor(req.user.id, { code, recoveryCode }))) {
+        await recordFailedAttempt(codeAttemptKeys, req);
+        return res.status(401).json({ error: "Invalid authentication code", code: "invalid_mfa_code" });
+      }
+      await clearFailedAttempts("mfa", codeAttemptKeys[0][1]);
+    }
+
+    const scheduledFor = await scheduleAccountDeletion(req.user.id);
+    if (!scheduledFor) {
+      return res.status(409).json({ error: "Your account is already scheduled for deletion", code: "deletion_scheduled" });
+    }
+
+    const revoked = await revokeAllSessions(req.user.id, "account_deletion", { except: req.user.sid });
+    await recordAuditEvent("account.deletion_scheduled", {
+      req,
+      actorUserId: req.user.id,
+      target: `user:${req.user.id}`,
+      metadata: { scheduledFor },
+    });
+    console.log(`🗑️ Account ${req.user.id} scheduled for deletion on ${scheduledFor.toISOString()}`);
+
+    res.status(202).json({
+      message: `Your account will be deleted in ${GRACE_DAYS} days. You can undo this until then`,
+      deletionScheduledFor: scheduledFor,
+      sessionsRevoked: revoked,
+    });
+  } catch (error) {
+    console.error("Account deletion request error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Undo a scheduled deletion during the grace period
+const cancelAccountDeletionRequest = async (req, res) => {
+  try {
+    if (!(await cancelAccountDeletion(req.user.id))) {
+      return res.status(404).json({ error: "Your account is not scheduled for deletion" });
+    }
+
+    await recordAuditEvent("account.deletion_cancelled", {
+      req,
+      actorUserId: req.user.id,
+      target: `user:${req.user.id}`,
+    });
+    console.log(`↩️ Account ${req.user.id} deletion cancelled`);
+
+    res.json({ message: "Your account will not be deleted" });
+  } catch (error) {
+    console.error("Account deletion cancel error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+module.exports = {
+  getDataExports,
+  createDataExport,
+  downloadDataExport,
+  requestAccountDeletion,
+  cancelAccountDeletionRequest,
+};
@@ -0,0 +1,309 @@
+const pool = require("../config/db");
+const { revokeAllSessions } = require("../services/sessions");
+const { revokeAllPersonalTokens } = require("../services/personalTokens");
+const { sendPasswordResetEmail } = require("../services/accountTokens");
+const { recordAuditEvent, listAuditEvents } = require("../services/audit");
+const { ROLES, isRole, canManage } = require("../services/roles");
+
+const USER_COLUMNS = `u.id, u.full_name, u.email, u.username, u.role, u.email_verified,
+  u.suspended_at, u.suspended_reason, u.password_reset_required, u.created_at,
+  (SELECT MAX(last_seen_at) FROM sessions WHERE user_id = u.id) AS last_seen_at`;
+
+const adminError = (message, status, code) => Object.assign(new Error(message), { status, code });
+
+const sendError = (res, error, label) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: "Internal server error" });
+};
+
+// The account an admin action is aimed at, if the acting user may manage it
+const loadManagedUser = async (req) => {
+  const userId = parseInt(req.params.id);
+  const result = Number.isInteger(userId)
+    ? await pool.query(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = $1`, [userId])
+    : { rows: [] };
+
+  if (result.rows.length === 0) throw adminError("User not found", 404, "user_not_found");
+
+  const user = result.rows[0];
+  if (user.id === req.user.id) {
+    throw adminError("You can't do this to your own account", 400, "own_account");
+  }
+  if (!canManage(req.user.role, user.role)) {
+    throw adminError(`Only an admin can manage ${user.role} accounts`, 403, "forbidden");
+  }
+  return user;
+};
+
+// GET /api/admin/users?search=&role=&status=active|suspended&page=&limit=
+const listUsers = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const { search, role, status } = req.query;
+
+    const conditions = [];
+    const params = [];
+    if (search) {
+      params.push(`%${String(search).replace(/[\\%_]/g, "\\$&")}%`);
+      conditions.push(`(u.email ILIKE $${params.length} OR u.username ILIKE $${params.length} OR u.full_name ILIKE $${params.length})`);
+    }
+    if (role) {
+      if (!isRole(role)) return res.status(400).json({ error: `Role must be one of: ${ROLES.join(", ")}` });
+      params.push(role);
+      conditions.push(`u.role = $${params.length}`);
+    }
+    if (status === "suspended") conditions.push("u.suspended_at IS NOT NULL");
+    if (status === "active") conditions.push("u.suspended_at IS NULL");
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const users = await pool.query(
+      `SELECT ${USER_COLUMNS}
+       FROM users u
+       ${where}
+       ORDER BY u.created_at DESC, u.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+    const totalCount = await pool.query(`SELECT COUNT(*) FROM users u ${where}`, params);
+    const total = parseInt(totalCount.rows[0].count);
+
+    res.json({
+      users: users.rows,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    sendError(res, error, "Admin user list");
+  }
+};
+
+// GET /api/admin/users/:id - the account plus its conversation and embedding stats
+const getUserStats = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const result = Number.isInteger(userId)
+      ? await pool.query(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = $1`, [userId])
+      : { rows: [] };
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "User not found", code: "user_not_found" });
+    }
+
+    const totals = await pool.query(
+      `SELECT
+         (SELECT COUNT(*) FROM conversations WHERE user_id = $1) AS conversations,
+         COUNT(m.id) FILTER (WHERE m.sender = 'user') AS user_messages,
+         COUNT(m.id) FILTER (WHERE m.sender = 'ai') AS ai_messages,
+         COUNT(e.id) AS embeddings,
+         MAX(m.created_at) AS last_message_at,
+         (SELECT COUNT(*) FROM sessions
+          WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()) AS active_sessions
+       FROM conversations c
+       JOIN messages m ON m.conversation_id = c.id
+       LEFT JOIN embeddings e ON e.message_id = m.id
+       WHERE c.user_id = $1`,
+      [userId]
+    );
+    const models = await pool.query(
+      `SELECT m.model_used AS model, COUNT(*)::integer AS replies
+       FROM messages m
+       JOIN conversations c ON m.conversation_id = c.id
+       WHERE c.user_id = $1 AND m.sender = 'ai'
+       GROUP BY m.model_used
+       ORDER BY replies DESC`,
+      [userId]
+    );
+    const embeddingModels = await pool.query(
+      `SELECT e.model_name AS model, COUNT(*)::integer AS embeddings
+       FROM embeddings e
+       JOIN messages m ON e.message_id = m.id
+       JOIN conversations c ON m.conversation_id = c.id
+       WHERE c.user_id = $1
+       GROUP BY e.model_name
+       ORDER BY embeddings DESC`,
+      [userId]
+    );
+
+    const row = totals.rows[0];
+    res.json({
+      user: result.rows[0],
+      stats: {
+        conversations: parseInt(row.conversations),
+        messages: parseInt(row.user_messages) + parseInt(row.ai_messages),
+        userMessages: parseInt(row.user_messages),
+        aiMessages: parseInt(row.ai_messages),
+        embeddings: parseInt(row.embeddings),
+        activeSessions: parseInt(row.active_sessions),
+        lastMessageAt: row.last_message_at,
+        models: models.rows,
+        embeddingModels: embeddingModels.rows,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Admin user stats");
+  }
+};
+
+// PUT /api/admin/users/:id/role
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body || {};
+    if (!isRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(", ")}` });
+    }
+
+    const user = await loadManagedUser(req);
+    await pool.query("UPDATE users SET role = $1, updated_at = NOW() WHERE id = $2", [role, user.id]);
+
+    await recordAuditEvent("admin.role_changed", {
+      req,
+      actorUserId: req.user.id,
+      target: `user:${user.id}`,
+      metadata: { from: user.role, to: role },
+    });
+    console.log(`👮 User ${user.id} role ${user.role} → ${role} by ${req.user.id}`);
+
+    res.json({ message: "Role updated", user: { ...user, role } });
+  } catch (error) {
+    sendError(res, error, "Admin role change");
+  }
+};
+
+// POST /api/admin/users/:id/suspend - signs the account out everywhere
+const suspendUser = async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === "string" ? req.body.reason.trim().substring(0, 500) || null : null;
+    const user = await loadManagedUser(req);
+
+    if (user.suspended_at) {
+      return res.status(409).json({ error: "Account is already suspended", code: "already_suspended" });
+    }
+
+    const updated = await pool.query(
+      `UPDATE users SET suspended_at = NOW(), suspended_reason = $2, updated_at = NOW()
+       WHERE id = $1
+       RETURNING suspended_at, suspended_reason`,
+      [user.id, reason]
+    );
+    const revoked = await revokeAllSessions(user.id, "suspended");
+
+    await recordAuditEvent("admin.user_suspended", {
+      req,
+      actorUserId: req.user.id,
+      target: `user:${user.id}`,
+      metadata: { reason, sessionsRevoked: revoked },
+    });
+    console.log(`⛔ User ${user.id} suspended by ${req.user.id}, ${revoked} sessions revoked`);
+
+    res.json({ message: "Account suspended", user: { ...user, ...updated.rows[0] }, sessionsRevoked: revoked });
+  } catch (error) {
+    sendError(res, error, "Admin suspend");
+  }
+};
+
+// POST /api/admin/users/:id/reactivate
+const reactivateUser = async (req, res) => {
+  try {
+    const user = await loadManagedUser(req);
+
+    if (!user.suspended_at) {
+      return res.status(409).json({ error: "Account is not suspended", code: "not_suspended" });
+    }
+
+    await pool.query(
+      "UPDATE users SET suspended_at = NULL, suspended_reason = NULL, updated_at = NOW() WHERE id = $1",
+      [user.id]
+    );
+
+    await recordAuditEvent("admin.user_reactivated", {
+      req,
+      actorUserId: req.user.id,
+      target: `user:${user.id}`,
+    });
+    console.log(`✅ User ${user.id} reactivated by ${req.user.id}`);
+
+    res.json({ message: "Account reactivated", user: { ...user, suspended_at: null, suspended_reason: null } });
+  } catch (error) {
+    sendError(res, error, "Admin reactivate");
+  }
+};
+
+// POST /api/admin/users/:id/password-reset - the current password stops
+// working, every session and personal access token ends and a reset link
+// is emailed
+const forcePasswordReset = async (req, res) => {
+  try {
+    const user = await loadManagedUser(req);
+
+    await pool.query("UPDATE users SET password_reset_required = TRUE, updated_at = NOW() WHERE id = $1", [user.id]);
+    const revoked = await revokeAllSessions(user.id, "admin_password_reset");
+    const tokensRevoked = await revokeAllPersonalTokens(user.id);
+
+    sendPasswordResetEmail(user).catch((error) => {
+      console.error("❌ Password reset email failed:", error.message);
+    });
+
+    await recordAuditEvent("admin.password_reset_forced", {
+      req,
+      actorUserId: req.user.id,
+      target: `user:${user.id}`,
+      metadata: { sessionsRevoked: revoked, tokensRevoked },
+    });
+    console.log(`🔑 Password reset forced for user ${user.id} by ${req.user.id}`);
+
+    res.json({ message: "Password reset required; a reset link was emailed", sessionsRevoked: revoked, tokensRevoked });
+  } catch (error) {
+    sendError(res, error, "Admin password reset");
+  }
+};
+
+// DELETE /api/admin/reviews/:id - remove anyone's review
+const deleteAnyReview = async (req, res) => {
+  try {
+    const reviewId = parseInt(req.params.id);
+    const deleted = Number.isInteger(reviewId)
+      ? await pool.query("DELETE FROM reviews WHERE id = $1 RETURNING id, user_id, title", [reviewId])
+      : { rows: [] };
+
+    if (deleted.rows.length === 0) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    const review = deleted.rows[0];
+    await recordAuditEvent("admin.review_deleted", {
+      req,
+      actorUserId: req.user.id,
+      target: `review:${review.id}`,
+      metadata: { authorUserId: review.user_id, title: review.title },
+    });
+
+    res.json({ message: "Review deleted successfully" });
+  } catch (error) {
+    sendError(res, error, "Admin review deletion");
+  }
+};
+
+// GET /api/admin/audit-events?type=&outcome=&actorUserId=&target=&ip=&from=&to=&page=&limit=
+// type takes one event type or a family such as "auth.*"
+const getAuditEvents = async (req, res) => {
+  try {
+    res.json(await listAuditEvents(req.query));
+  } catch (error) {
+    sendError(res, error, "Admin audit log");
+  }
+};
+
+module.exports = {
+  listUsers,
+  getUserStats,
+  updateUserRole,
+  suspendUser,
+  reactivateUser,
+  forcePasswordReset,
+  deleteAnyReview,
+  getAuditEvents,
+};
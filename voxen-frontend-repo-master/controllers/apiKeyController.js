@@ -0,0 +1,157 @@
+// controllers/apiKeyController.js
+const { PROVIDERS, isKnownProvider, isAllowedBaseUrl, createProvider } = require("../services/providers");
+const { saveKey, findKey, listKeys, getDecryptedKey, deleteKey } = require("../services/keyVault");
+const { invalidateModelCatalog } = require("../services/modelCatalog");
+const { recordAuditEvent } = require("../services/audit");
+
+// Only providers that take a key can be stored in the vault
+const validateProvider = (provider, res) => {
+  if (!isKnownProvider(provider) || !PROVIDERS[provider].requiresKey) {
+    res.status(400).json({ error: `Unsupported provider: ${provider}` });
+    return false;
+  }
+  return true;
+};
+
+// A custom base URL must be https on one of the provider's allowed hosts
+const validateBaseUrl = (provider, baseUrl, res) => {
+  if (baseUrl && !isAllowedBaseUrl(provider, baseUrl)) {
+    res.status(400).json({
+      error: "Base URL must be an https address on one of the provider's allowed hosts",
+      code: "invalid_base_url",
+    });
+    return false;
+  }
+  return true;
+};
+
+// List saved keys (hints only, never the keys themselves)
+const getApiKeys = async (req, res) => {
+  try {
+    const keys = await listKeys(req.user.id);
+    res.json({ keys });
+  } catch (error) {
+    console.error("API key list error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Add a key for a provider
+const addApiKey = async (req, res) => {
+  try {
+    const { provider, apiKey, label, baseUrl } = req.body;
+
+    if (!provider || typeof apiKey !== "string" || !apiKey.trim()) {
+      return res.status(400).json({ error: "Provider and API key are required" });
+    }
+    if (!validateProvider(provider, res)) return;
+    if (!validateBaseUrl(provider, baseUrl, res)) return;
+
+    const existing = await findKey(req.user.id, provider);
+    if (existing) {
+      return res.status(409).json({ error: "A key for this provider already exists. Rotate it instead." });
+    }
+
+    const key = await saveKey(req.user.id, provider, apiKey.trim(), { label, baseUrl });
+    invalidateModelCatalog(req.user.id, provider);
+    console.log(`🔑 API key saved for user ${req.user.id} (${provider})`);
+    await recordAuditEvent("api_key.saved", { req, actorUserId: req.user.id, target: `user:${req.user.id}`, metadata: { provider } });
+
+    res.status(201).json({ message: "API key saved successfully", key });
+  } catch (error) {
+    console.error("API key save error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Replace an existing key with a new one
+const rotateApiKey = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { apiKey, label, baseUrl } = req.body;
+
+    if (typeof apiKey !== "string" || !apiKey.trim()) {
+      return res.status(400).json({ error: "API key is required" });
+    }
+    if (!validateProvider(provider, res)) return;
+    if (!validateBaseUrl(provider, baseUrl, res)) return;
+
+    const existing = await findKey(req.user.id, provider);
+    if (!existing) {
+      return res.status(404).json({ error: "No API key saved for this provider" });
+    }
+
+    const key = await saveKey(req.user.id, provider, apiKey.trim(), { label, baseUrl });
+    invalidateModelCatalog(req.user.id, provider);
+    console.log(`🔄 API key rotated for user ${req.user.id} (${provider})`);
+    await recordAuditEvent("api_key.rotated", { req, actorUserId: req.user.id, target: `user:${req.user.id}`, metadata: { provider } });
+
+    res.json({ message: "API key rotated successfully", key });
+  } catch (error) {
+    console.error("API key rotate error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Check a key works by listing the provider's models. Tests the key in the
+// request body when given (before saving), otherwise the saved one.
+// Providers without keys (Ollama) are simply checked for reachability.
+const testApiKey = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { apiKey, baseUrl } = req.body || {};
+
+    if (!isKnownProvider(provider)) {
+      return res.status(400).json({ error: `Unsupported provider: ${provider}` });
+    }
+    if (apiKey !== undefined && typeof apiKey !== "string") {
+      return res.status(400).json({ error: "API key must be a string" });
+    }
+    if (!validateBaseUrl(provider, baseUrl, res)) return;
+
+    let credentials = {};
+    if (PROVIDERS[provider].requiresKey) {
+      credentials = apiKey
+        ? { apiKey: apiKey.trim(), baseUrl }
+        : await getDecryptedKey(req.user.id, provider);
+    }
+
+    if (!credentials) {
+      return res.status(404).json({ error: "No API key saved for this provider" });
+    }
+
+    try {
+      const models = await createProvider(provider, credentials).listModels();
+      res.json({ success: true, provider, modelCount: models.length });
+    } catch (error) {
+      // What the upstream said stays in the server log
+      console.warn(`⚠️ API key test failed (${provider}):`, error.message, error.responseText || "");
+      res.status(400).json({ success: false, error: "Connection failed" });
+    }
+  } catch (error) {
+    console.error("API key test error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Remove a key
+const deleteApiKey = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    const deleted = await deleteKey(req.user.id, provider);
+    if (!deleted) {
+      return res.status(404).json({ error: "No API key saved for this provider" });
+    }
+    invalidateModelCatalog(req.user.id, provider);
+
+    console.log(`🗑️ API key deleted for user ${req.user.id} (${provider})`);
+    await recordAuditEvent("api_key.deleted", { req, actorUserId: req.user.id, target: `user:${req.user.id}`, metadata: { provider } });
+    res.json({ message: "API key deleted successfully" });
+  } catch (error) {
+    console.error("API key delete error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+module.exports = { getApiKeys, addApiKey, rotateApiKey, testApiKey, deleteApiKey };
@@ -2,6 +2,28 @@
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const pool = require("../config/db");
+const {
+  createSession,
+  rotateRefreshToken,
+  createAuthCode,
+  exchangeAuthCode,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  revokeSessionByRefreshToken,
+} = require("../services/sessions");
+const { consumeAccountToken, sendVerificationEmail, sendPasswordResetEmail } = require("../services/accountTokens");
+const { isTwoFactorEnabled, createMfaChallenge } = require("../services/twoFactor");
+const { getRetryAfter, recordFailedAttempt, clearFailedAttempts, tooManyAttempts } = require("../services/loginThrottle");
+const { checkPassword } = require("../services/passwordPolicy");
+const { recordAuditEvent } = require("../services/audit");
+
+// Google, GitHub and OIDC sign-ins ask for the 2FA code too unless this is
+// "false" (MFA_REQUIRED_FOR_GOOGLE is its older name)
+const MFA_REQUIRED_FOR_OAUTH = (process.env.MFA_REQUIRED_FOR_OAUTH ?? process.env.MFA_REQUIRED_FOR_GOOGLE) !== "false";
+
+// Compared against when the email is unknown, so that answer takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-the-password", 10);
 
 // Manual Registration
 const registerUser = async (req, res) => {
@@ -12,6 +34,15 @@ const registerUser = async (req, res) => {
       return res.status(400).json({ error: "All fields are required" });
     }
 
+    const retryAfter = await getRetryAfter([["register", req.ip]]);
+    if (retryAfter > 0) return tooManyAttempts(res, retryAfter);
+    await recordFailedAttempt([["register", req.ip]], req);
+
+    const passwordProblem = checkPassword(password, { email, username });
+    if (passwordProblem) {
+      return res.status(400).json({ error: passwordProblem, code: "weak_password" });
+    }
+
     const existingUser = await pool.query(
       "SELECT * FROM users WHERE email = $1 OR username = $2",
       [email, username]
@@ -33,24 +64,28 @@ const registerUser = async (req, res) => {
     const newUser = await pool.query(
       `INSERT INTO users (full_name, email, username, password_hash)
        VALUES ($1, $2, $3, $4)
-       RETURNING id, full_name, email, username, created_at`,
+       RETURNING id, full_name, email, username, email_verified, created_at`,
       [fullName, email, username, passwordHash]
     );
 
-    const token = jwt.sign(
-      {
-        id: newUser.rows[0].id,
-        email: newUser.rows[0].email,
-        username: newUser.rows[0].username,
-      },
-      process.env.JWT_SECRET || "your-jwt-secret",
-      { expiresIn: "24h" }
-    );
+    const { token, refreshToken } = await createSession(newUser.rows[0], req);
+    await recordAuditEvent("auth.register", {
+      req,
+      actorUserId: newUser.rows[0].id,
+      target: `user:${newUser.rows[0].id}`,
+      metadata: { method: "password" },
+    });
+
+    // A mail outage shouldn't fail the sign-up; the user can ask for a new link
+    sendVerificationEmail(newUser.rows[0]).catch((error) => {
+      console.error("❌ Verification email failed:", error.message);
+    });
 
     res.status(201).json({
       message: "User registered successfully",
       user: newUser.rows[0],
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error("Registration error:", error);
@@ -63,37 +98,66 @@ const loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
+    if (!email || !password || typeof email !== "string" || typeof password !== "string") {
       return res.status(400).json({ error: "Email and password are required" });
     }
 
+    // Counted per address whether or not it is registered, and per IP
+    const attemptKeys = [["account", email.trim().toLowerCase()], ["ip", req.ip]];
     const user = await pool.query("SELECT * FROM users WHERE email = $1", [email]);
+    const foundUser = user.rows[0];
+    // Failed sign-ins are filed under the account they were aimed at, so its owner sees them
+    const target = foundUser ? `user:${foundUser.id}` : attemptKeys[0][1];
 
-    if (user.rows.length === 0) {
-      return res.status(401).json({ error: "Invalid credentials" });
+    const retryAfter = await getRetryAfter(attemptKeys);
+    if (retryAfter > 0) {
+      await recordAuditEvent("auth.login", { req, target, outcome: "denied", metadata: { method: "password", reason: "throttled" } });
+      return tooManyAttempts(res, retryAfter);
     }
 
-    const foundUser = user.rows[0];
+    // Unknown email, no password set (provider-only account) and a wrong
+    // password all get the same answer
+    const isValidPassword = await bcrypt.compare(password, foundUser?.password_hash || DUMMY_PASSWORD_HASH);
 
-    if (!foundUser.password_hash) {
-      return res.status(401).json({ error: "Please sign in with Google" });
+    if (!foundUser?.password_hash || !isValidPassword) {
+      await recordFailedAttempt(attemptKeys, req);
+      await recordAuditEvent("auth.login", {
+        req,
+        target,
+        outcome: "failure",
+        metadata: { method: "password", reason: foundUser ? "invalid_password" : "unknown_email" },
+      });
+      return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    const isValidPassword = await bcrypt.compare(password, foundUser.password_hash);
+    await clearFailedAttempts("account", attemptKeys[0][1]);
 
-    if (!isValidPassword) {
-      return res.status(401).json({ error: "Invalid credentials" });
+    if (foundUser.suspended_at) {
+      await recordAuditEvent("auth.login", { req, target, outcome: "denied", metadata: { method: "password", reason: "account_suspended" } });
+      return res.status(403).json({ error: "This account has been suspended", code: "account_suspended" });
+    }
+    // An admin has asked for a new password; the reset link was emailed
+    if (foundUser.password_reset_required) {
+      await recordAuditEvent("auth.login", {
+        req,
+        target,
+        outcome: "denied",
+        metadata: { method: "password", reason: "password_reset_required" },
+      });
+      return res.status(403).json({
+        error: "Your password must be reset. Use the link we emailed you, or request a new one",
+        code: "password_reset_required",
+      });
     }
 
-    const token = jwt.sign(
-      {
-        id: foundUser.id,
-        email: foundUser.email,
-        username: foundUser.username,
-      },
-      process.env.JWT_SECRET || "your-jwt-secret",
-      { expiresIn: "24h" }
-    );
+    // Password is right; with 2FA on, the session waits for a code
+    if (await isTwoFactorEnabled(foundUser.id)) {
+      const mfaToken = await createMfaChallenge(foundUser.id, "password");
+      return res.json({ message: "Two-factor authentication code required", mfaRequired: true, mfaToken });
+    }
+
+    const { token, refreshToken } = await createSession(foundUser, req);
+    await recordAuditEvent("auth.login", { req, actorUserId: foundUser.id, target, metadata: { method: "password" } });
 
     res.json({
       message: "Login successful",
@@ -103,9 +167,11 @@ const loginUser = async (req, res) => {
         email: foundUser.email,
         username: foundUser.username,
         profile_picture: foundUser.profile_picture,
+        email_verified: foundUser.email_verified,
         created_at: foundUser.created_at,
       },
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -113,59 +179,367 @@ const loginUser = async (req, res) => {
   }
 };
 
-// Google Callback - REDIRECT TO HOME
-const googleCallback = async (req, res) => {
+// OAuth Callback (Google, GitHub, OIDC) - REDIRECT TO HOME
+// req.user is what resolveProviderSignIn decided for this sign-in
+const providerCallback = async (req, res) => {
+  const { provider } = req.params;
+
   try {
+    const outcome = req.user;
+
     // Check if user exists in request
-    if (!req.user) {
-      console.error("❌ No user in request after Google OAuth");
+    if (!outcome) {
+      console.error(`❌ No user in request after ${provider} OAuth`);
+      await recordAuditEvent("auth.oauth_callback", { req, outcome: "failure", metadata: { provider, reason: "auth_failed" } });
       return res.redirect("/?error=auth_failed");
     }
 
-    console.log("✅ Google OAuth user:", req.user);
+    // Linking from the profile page goes back there
+    if (outcome.linkedUserId) {
+      return res.redirect(`/home?linked=${provider}`);
+    }
+    if (outcome.error) {
+      const page = req.oauthLinkToken ? "/home?linkError=" : "/?error=";
+      return res.redirect(`${page}${outcome.error}`);
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        id: req.user.id,
-        email: req.user.email,
-        username: req.user.username,
-      },
-      process.env.JWT_SECRET || "your-jwt-secret",
-      { expiresIn: "24h" }
-    );
+    // The email belongs to a password account: its owner confirms the link
+    if (outcome.pendingLinkToken) {
+      return res.redirect(`/?linkAccount=${outcome.pendingLinkToken}&provider=${provider}`);
+    }
 
-    // Prepare user data
-    const userData = {
-      id: req.user.id,
-      full_name: req.user.full_name || req.user.username,
-      email: req.user.email,
-      username: req.user.username,
-      profile_picture: req.user.profile_picture || "",
-    };
+    if (outcome.user.suspended_at) {
+      await recordAuditEvent("auth.oauth_callback", {
+        req,
+        target: `user:${outcome.user.id}`,
+        outcome: "denied",
+        metadata: { provider, reason: "account_suspended" },
+      });
+      return res.redirect("/?error=account_suspended");
+    }
 
-    console.log("✅ Redirecting with user data:", userData);
+    console.log(`✅ ${provider} OAuth user:`, outcome.user.id);
+    await recordAuditEvent("auth.oauth_callback", {
+      req,
+      actorUserId: outcome.user.id,
+      target: `user:${outcome.user.id}`,
+      metadata: { provider },
+    });
+
+    // The page exchanges this short-lived code for tokens with a POST, so
+    // no token ends up in the URL, browser history or logs
+    const code = await createAuthCode(outcome.user.id);
 
     // Redirect to HOME page (changed from /chat)
-    res.redirect(
-      `/home?token=${token}&user=${encodeURIComponent(JSON.stringify(userData))}`
-    );
+    res.redirect(`/home?code=${code}`);
   } catch (error) {
-    console.error("❌ Google callback error:", error);
+    console.error(`❌ ${provider} callback error:`, error);
     console.error("Error stack:", error.stack);
+    await recordAuditEvent("auth.oauth_callback", { req, outcome: "failure", metadata: { provider, reason: "callback_failed" } });
     res.redirect("/?error=auth_callback_failed");
   }
 };
 
-// Logout
-const logoutUser = (req, res) => {
-  req.logout((err) => {
-    if (err) {
-      console.error("Logout error:", err);
-      return res.status(500).json({ error: "Logout failed" });
+// Exchange the one-time code from an OAuth redirect for a session
+const exchangeAuthorizationCode = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || typeof code !== "string") {
+      return res.status(400).json({ error: "Authorization code is required" });
+    }
+
+    const { token, refreshToken, user, secondFactorRequired } = await exchangeAuthCode(code, req, {
+      requireSecondFactor: (user) => MFA_REQUIRED_FOR_OAUTH && isTwoFactorEnabled(user.id),
+    });
+
+    if (secondFactorRequired) {
+      const mfaToken = await createMfaChallenge(user.id, "oauth");
+      return res.json({ message: "Two-factor authentication code required", mfaRequired: true, mfaToken });
+    }
+
+    await recordAuditEvent("auth.login", { req, actorUserId: user.id, target: `user:${user.id}`, metadata: { method: "oauth" } });
+
+    res.json({
+      message: "Login successful",
+      user: {
+        id: user.id,
+        full_name: user.full_name || user.username,
+        email: user.email,
+        username: user.username,
+        profile_picture: user.profile_picture || "",
+        email_verified: user.email_verified,
+        created_at: user.created_at,
+      },
+      token,
+      refreshToken,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error("Authorization code exchange error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Exchange a refresh token for a new access token and refresh token
+const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken, req);
+    res.json({ token: tokens.token, refreshToken: tokens.refreshToken });
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
+    console.error("Token refresh error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Logout: revoke the session behind the access token (even an expired one)
+// or the refresh token, and end any passport session
+const logoutUser = async (req, res) => {
+  try {
+    const authHeader = req.headers["authorization"];
+    const token = authHeader && authHeader.split(" ")[1];
+    const { refreshToken } = req.body || {};
+
+    let revoked = false;
+    if (token) {
+      try {
+        const payload = jwt.verify(token, process.env.JWT_SECRET || "your-jwt-secret", { ignoreExpiration: true });
+        if (payload.sid) revoked = await revokeSession(payload.id, payload.sid);
+        if (revoked) {
+          await recordAuditEvent("auth.logout", { req, actorUserId: payload.id, target: `session:${payload.sid}` });
+        }
+      } catch (error) {
+        console.warn("⚠️ Logout with invalid access token:", error.message);
+      }
+    }
+    if (!revoked && refreshToken) {
+      revoked = await revokeSessionByRefreshToken(refreshToken);
+      if (revoked) await recordAuditEvent("auth.logout", { req, metadata: { via: "refresh_token" } });
+    }
+
+    if (typeof req.logout !== "function") {
+      return res.json({ message: "Logout successful", revoked });
+    }
+
+    req.logout((err) => {
+      if (err) {
+        console.error("Logout error:", err);
+        return res.status(500).json({ error: "Logout failed" });
+      }
+      res.json({ message: "Logout successful", revoked });
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ error: "Logout failed" });
+  }
+};
+
+// Active sessions of the signed-in user
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    res.json({
+      sessions: sessions.map((session) => ({
+        id: session.id,
+        device: session.device,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastSeenAt: session.last_seen_at,
+        expiresAt: session.expires_at,
+        current: session.id === req.user.sid,
+      })),
+    });
+  } catch (error) {
+    console.error("Session list error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Revoke one of the user's sessions (e.g. a lost device)
+const deleteSession = async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.sessionId);
+
+    const revoked = Number.isInteger(sessionId) && (await revokeSession(req.user.id, sessionId, "revoked_by_user"));
+    if (!revoked) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    console.log(`🔒 Session ${sessionId} revoked by user ${req.user.id}`);
+    await recordAuditEvent("session.revoked", { req, actorUserId: req.user.id, target: `session:${sessionId}` });
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Session revoke error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Log out everywhere, including this session
+const logoutAllSessions = async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.id);
+    console.log(`🔒 All ${count} sessions revoked for user ${req.user.id}`);
+    await recordAuditEvent("session.revoked_all", {
+      req,
+      actorUserId: req.user.id,
+      target: `user:${req.user.id}`,
+      metadata: { sessionsRevoked: count },
+    });
+    res.json({ message: "Logged out of all sessions", revoked: count });
+  } catch (error) {
+    console.error("Logout-all error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Confirm an email address with the token from the verification link
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ error: "Verification token is required" });
+    }
+
+    const userId = await consumeAccountToken(token, "verify_email");
+    if (!userId) {
+      return res.status(400).json({ error: "Verification link is invalid or has expired", code: "invalid_token" });
+    }
+
+    await pool.query("UPDATE users SET email_verified = TRUE, updated_at = NOW() WHERE id = $1", [userId]);
+    console.log(`✅ Email verified for user ${userId}`);
+    await recordAuditEvent("auth.email_verified", { req, target: `user:${userId}` });
+
+    res.json({ message: "Email verified" });
+  } catch (error) {
+    console.error("Email verification error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Send a fresh verification link to the signed-in user
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT id, full_name, email, username, email_verified FROM users WHERE id = $1",
+      [req.user.id]
+    );
+    const user = result.rows[0];
+
+    if (user.email_verified) {
+      return res.status(400).json({ error: "Email is already verified" });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ error: "Could not send verification email" });
+  }
+};
+
+// Email a reset link. The answer is the same whether or not the address has
+// an account, so it can't be used to find out who is registered.
+const requestPasswordReset = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
+    const result = await pool.query("SELECT id, full_name, email, username FROM users WHERE email = $1", [email]);
+
+    if (result.rows.length > 0) {
+      sendPasswordResetEmail(result.rows[0]).catch((error) => {
+        console.error("❌ Password reset email failed:", error.message);
+      });
+      await recordAuditEvent("auth.password_reset_requested", { req, target: `user:${result.rows[0].id}` });
+    }
+
+    res.json({ message: "If an account exists for that email, a reset link has been sent" });
+  } catch (error) {
+    console.error("Password reset request error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Set a new password with the token from the reset link. Every session is
+// signed out, and the email counts as verified since the link reached it.
+const confirmPasswordReset = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== "string" || !password) {
+      return res.status(400).json({ error: "Token and new password are required" });
     }
-    res.json({ message: "Logout successful" });
-  });
+
+    await client.query("BEGIN");
+
+    const userId = await consumeAccountToken(token, "reset_password", client);
+    if (!userId) {
+      await client.query("ROLLBACK");
+      await recordAuditEvent("auth.password_reset", { req, outcome: "failure", metadata: { reason: "invalid_token" } });
+      return res.status(400).json({ error: "Reset link is invalid or has expired", code: "invalid_token" });
+    }
+
+    // A refused password leaves the link usable
+    const owner = await client.query("SELECT email, username FROM users WHERE id = $1", [userId]);
+    const passwordProblem = checkPassword(password, owner.rows[0]);
+    if (passwordProblem) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: passwordProblem, code: "weak_password" });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    await client.query(
+      `UPDATE users SET password_hash = $1, email_verified = TRUE, password_reset_required = FALSE, updated_at = NOW()
+       WHERE id = $2`,
+      [passwordHash, userId]
+    );
+    await client.query("COMMIT");
+
+    const revoked = await revokeAllSessions(userId, "password_reset");
+    console.log(`🔑 Password reset for user ${userId}, ${revoked} sessions revoked`);
+    await recordAuditEvent("auth.password_reset", { req, target: `user:${userId}`, metadata: { sessionsRevoked: revoked } });
+
+    res.json({ message: "Password updated. Please sign in with your new password" });
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Password reset error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
 };
 
-module.exports = { registerUser, loginUser, googleCallback, logoutUser };
\ No newline at end of file
+module.exports = {
+  registerUser,
+  loginUser,
+  providerCallback,
+  exchangeAuthorizationCode,
+  refreshAccessToken,
+  logoutUser,
+  getSessions,
+  deleteSession,
+  logoutAllSessions,
+  verifyEmail,
+  resendVerificationEmail,
+  requestPasswordReset,
+  confirmPasswordReset,
+};
\ No newline at end of file
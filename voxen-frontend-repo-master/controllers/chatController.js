@@ -1,16 +1,54 @@
 // chatController.js
 const pool = require('../config/db');
 const dotenv = require("dotenv");
-const fetch = require('node-fetch'); // ✅ Make sure to install: npm install node-fetch@2
+const crypto = require('crypto');
+const { createProvider, isKnownProvider } = require('../services/providers');
+const { getDecryptedKey } = require('../services/keyVault');
+const { getDefaultModel } = require('../services/modelCatalog');
+const { recordAuditEvent } = require('../services/audit');
 dotenv.config();
 
-// Default fallback model (only used if frontend sends nothing)
-const DEFAULT_MODEL = "qwen2.5:0.5b";
+// ✅ Context window budgets (in tokens) per model family; prompt history is
+// trimmed to fit, leaving CONTEXT_RESPONSE_RESERVE tokens for the reply
+const DEFAULT_CONTEXT_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET) || 4096;
+const MODEL_CONTEXT_BUDGETS = {
+  'qwen2.5': 8192,
+  'phi3': 4096,
+  'mistral': 8192,
+  'llama3': 8192,
+  'gemma': 8192
+};
+const CONTEXT_RESPONSE_RESERVE = 1024;
+const SUMMARY_SNIPPET_LENGTH = 120;
+
+// ✅ Rolling conversation summaries: refreshed after every N new messages,
+// using SUMMARY_MODEL if set, otherwise the conversation's own model
+const SUMMARY_EVERY_N_MESSAGES = parseInt(process.env.SUMMARY_EVERY_N_MESSAGES) || 10;
+const SUMMARY_MODEL = process.env.SUMMARY_MODEL || null;
+
+// ✅ Generated conversation titles
+const TITLE_MAX_LENGTH = 60;
+const TITLE_FALLBACK_LENGTH = 50;
 
 // ✅ Ollama configuration for embeddings
 const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
 const EMBEDDING_MODEL = 'nomic-embed-text:latest';
 
+// ✅ Hybrid search: full-text and semantic candidates (cosine similarity of
+// at least SIMILARITY_THRESHOLD) merged by reciprocal rank fusion
+const SIMILARITY_THRESHOLD = 0.3;
+const SEARCH_CANDIDATE_LIMIT = 100;
+const RRF_K = 60;
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGE_SIZE = 50;
+
+// Snippet highlight markers (control characters never typed into chat),
+// swapped for <mark> after HTML-escaping
+const SNIPPET_START = '\u0001';
+const SNIPPET_STOP = '\u0002';
+const SNIPPET_CONTEXT_CHARS = 80;
+const ollamaProvider = createProvider('ollama', { baseUrl: OLLAMA_BASE_URL });
+
 console.log('🔍 Pool object:', pool);
 console.log('🔍 Pool.query type:', typeof pool.query);
 console.log('🤖 Embedding Model:', EMBEDDING_MODEL);
@@ -30,28 +68,10 @@ async function generateEmbedding(text) {
 
     console.log(`🔄 Generating embedding via Ollama...`);
     
-    const response = await fetch(`${OLLAMA_BASE_URL}/api/embeddings`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: EMBEDDING_MODEL,
-        prompt: text
-      }),
-      timeout: 30000
-    });
+    const embedding = await ollamaProvider.embed(EMBEDDING_MODEL, text);
 
-    if (!response.ok) {
-      throw new Error(`Ollama API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    
-    if (!data.embedding) {
-      throw new Error('No embedding returned from Ollama');
-    }
-
-    console.log(`✅ Embedding generated (dimension: ${data.embedding.length})`);
-    return data.embedding;
+    console.log(`✅ Embedding generated (dimension: ${embedding.length})`);
+    return embedding;
 
   } catch (error) {
     console.error('❌ Embedding generation failed:', error.message);
@@ -59,21 +79,58 @@ async function generateEmbedding(text) {
   }
 }
 
-// Store embedding in database
+// ✅ pgvector support: the size of the native vector column once the
+// migrations have added it; until then similarity is computed in JS
+let vectorDimensions = null;
+
+// True when an embedding of this length fits the vector column
+async function canUseVectorColumn(embedding) {
+  if (!vectorDimensions) {
+    try {
+      // pgvector keeps a column's dimensions in its type modifier
+      const result = await pool.query(
+        `SELECT atttypmod FROM pg_attribute
+         WHERE attrelid = 'embeddings'::regclass AND attname = 'embedding' AND NOT attisdropped`
+      );
+      vectorDimensions = result.rows[0]?.atttypmod > 0 ? result.rows[0].atttypmod : null;
+    } catch (error) {
+      console.error('❌ pgvector check failed:', error.message);
+    }
+  }
+
+  return embedding.length === vectorDimensions;
+}
+
+// Store embedding in database (JSON text, plus the native vector when available)
 async function storeEmbedding(messageId, embedding) {
   try {
     const embeddingStr = JSON.stringify(embedding);
+    const storeVector = await canUseVectorColumn(embedding);
     
-    await pool.query(
-      `INSERT INTO embeddings (message_id, embedding_vector, model_name, created_at, updated_at)
-       VALUES ($1, $2, $3, NOW(), NOW())
-       ON CONFLICT (message_id) 
-       DO UPDATE SET 
-         embedding_vector = EXCLUDED.embedding_vector,
-         model_name = EXCLUDED.model_name,
-         updated_at = NOW()`,
-      [messageId, embeddingStr, EMBEDDING_MODEL]
-    );
+    if (storeVector) {
+      await pool.query(
+        `INSERT INTO embeddings (message_id, embedding_vector, embedding, model_name, created_at, updated_at)
+         VALUES ($1, $2, $4::vector, $3, NOW(), NOW())
+         ON CONFLICT (message_id) 
+         DO UPDATE SET 
+           embedding_vector = EXCLUDED.embedding_vector,
+           embedding = EXCLUDED.embedding,
+           model_name = EXCLUDED.model_name,
+           updated_at = NOW()`,
+        [messageId, embeddingStr, EMBEDDING_MODEL, embeddingStr]
+      );
+    } else {
+      await pool.query(
+        `INSERT INTO embeddings (message_id, embedding_vector, model_name, created_at, updated_at)
+         VALUES ($1, $2, $3, NOW(), NOW())
+         ON CONFLICT (message_id) 
+         DO UPDATE SET 
+           embedding_vector = EXCLUDED.embedding_vector,
+           model_name = EXCLUDED.model_name,
+           updated_at = NOW()`,
+        [messageId, embeddingStr, EMBEDDING_MODEL]
+      );
+    }
     
     console.log(`✅ Embedding stored for message ${messageId}`);
     return true;
@@ -124,20 +181,823 @@ function cosineSimilarity(vecA, vecB) {
   return dotProduct / (normA * normB);
 }
 
+/* ==========================================
+   SEARCH HELPER FUNCTIONS
+========================================== */
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Check the optional search filters, returning an error message if invalid
+function validateSearchFilters(filters) {
+  if (typeof filters !== 'object' || Array.isArray(filters)) return 'filters must be an object';
+
+  const { from, to, sender, conversationIds, pinned } = filters;
+
+  if (from && isNaN(Date.parse(from))) return 'Invalid from date';
+  if (to && isNaN(Date.parse(to))) return 'Invalid to date';
+  if (sender && !['user', 'ai'].includes(sender)) return 'sender must be "user" or "ai"';
+  if (pinned !== undefined && typeof pinned !== 'boolean') return 'pinned must be a boolean';
+  if (conversationIds !== undefined &&
+      (!Array.isArray(conversationIds) || !conversationIds.every(id => Number.isInteger(Number(id))))) {
+    return 'conversationIds must be an array of conversation IDs';
+  }
+
+  return null;
+}
+
+// Translate search filters into SQL conditions on messages m and
+// conversations c, appending their values to params
+function buildSearchFilters(userId, filters, params) {
+  const conditions = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  add('c.user_id = ?', userId);
+
+  if (filters.from) add('m.created_at >= ?', new Date(filters.from));
+  if (filters.to) {
+    // A bare date includes the whole day
+    const to = new Date(filters.to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(filters.to)) to.setUTCDate(to.getUTCDate() + 1);
+    add('m.created_at < ?', to);
+  }
+  if (filters.sender) add('m.sender = ?', filters.sender);
+  if (filters.model) add('m.model_used = ?', filters.model);
+  if (filters.pinned !== undefined) add('c.is_pinned = ?', filters.pinned);
+  if (filters.conversationIds && filters.conversationIds.length) {
+    add('m.conversation_id = ANY(?::int[])', filters.conversationIds.map(Number));
+  }
+
+  return conditions.join(' AND ');
+}
+
+// Full-text candidates; messages containing the query verbatim (error codes,
+// identifiers the text parser splits up) rank ahead of stemmed matches and
+// are flagged so fusion can boost them
+async function findKeywordMatches(query, where, params) {
+  const values = [...params, query, `%${query.replace(/[\\%_]/g, '\\$&')}%`, SEARCH_CANDIDATE_LIMIT];
+  const n = params.length;
+
+  const result = await pool.query(
+    `SELECT m.id, m.content ILIKE $${n + 2} AS verbatim
+     FROM messages m
+     JOIN conversations c ON m.conversation_id = c.id
+     WHERE ${where}
+       AND (to_tsvector('english', m.content) @@ websearch_to_tsquery('english', $${n + 1})
+            OR m.content ILIKE $${n + 2})
+     ORDER BY (m.content ILIKE $${n + 2}) DESC,
+              ts_rank_cd(to_tsvector('english', m.content), websearch_to_tsquery('english', $${n + 1})) DESC,
+              m.id DESC
+     LIMIT $${n + 3}`,
+    values
+  );
+
+  return result.rows;
+}
+
+// Semantic candidates ranked by cosine similarity in SQL using the pgvector
+// index, keeping those above the threshold
+async function findSimilarMessagesInDb(queryEmbedding, where, params) {
+  const n = params.length;
+
+  const result = await pool.query(
+    `SELECT * FROM (
+       SELECT m.id, 1 - (e.embedding <=> $${n + 1}::vector) AS similarity
+       FROM messages m
+       JOIN conversations c ON m.conversation_id = c.id
+       JOIN embeddings e ON m.id = e.message_id
+       WHERE ${where} AND e.embedding IS NOT NULL
+       ORDER BY e.embedding <=> $${n + 1}::vector
+       LIMIT $${n + 2}
+     ) ranked
+     WHERE similarity >= $${n + 3}
+     ORDER BY similarity DESC`,
+    [...params, JSON.stringify(queryEmbedding), SEARCH_CANDIDATE_LIMIT, SIMILARITY_THRESHOLD]
+  );
+
+  return result.rows;
+}
+
+// Fallback without pgvector: load every matching embedded message and compare in JS
+async function findSimilarMessagesInApp(queryEmbedding, where, params) {
+  const result = await pool.query(
+    `SELECT m.id, e.embedding_vector
+     FROM messages m
+     JOIN conversations c ON m.conversation_id = c.id
+     JOIN embeddings e ON m.id = e.message_id
+     WHERE ${where}`,
+    params
+  );
+
+  console.log(`📊 Found ${result.rows.length} messages with embeddings`);
+
+  const messagesWithScores = result.rows.map(row => {
+    try {
+      return { id: row.id, similarity: cosineSimilarity(queryEmbedding, JSON.parse(row.embedding_vector)) };
+    } catch (error) {
+      console.error(`Error parsing embedding for message ${row.id}:`, error.message);
+      return null;
+    }
+  }).filter(msg => msg !== null);
+
+  return messagesWithScores
+    .filter(msg => msg.similarity >= SIMILARITY_THRESHOLD)
+    .sort((a, b) => b.similarity - a.similarity || b.id - a.id)
+    .slice(0, SEARCH_CANDIDATE_LIMIT);
+}
+
+// Reciprocal rank fusion: each list contributes 1 / (k + rank) per message
+function fuseRankings(rankings) {
+  const fused = new Map();
+
+  rankings.forEach(({ source, matches }) => {
+    matches.forEach((match, index) => {
+      const entry = fused.get(match.id) || { id: match.id, score: 0, similarity: null, matchedBy: [] };
+      entry.score += 1 / (RRF_K + index + 1);
+      entry.matchedBy.push(source);
+      if (match.similarity !== undefined) entry.similarity = match.similarity;
+      fused.set(match.id, entry);
+    });
+  });
+
+  return [...fused.values()].sort((a, b) => b.score - a.score || b.id - a.id);
+}
+
+// Cursors mark the last result of a page by its score and id
+function encodeSearchCursor({ score, id }) {
+  return Buffer.from(JSON.stringify({ score, id })).toString('base64url');
+}
+
+function decodeSearchCursor(cursor) {
+  try {
+    const { score, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof score === 'number' && Number.isInteger(id)) return { score, id };
+  } catch (error) {
+    // fall through
+  }
+  return null;
+}
+
+// HTML-escaped excerpt with matches wrapped in <mark>. Postgres picks the
+// fragments; when the text parser found nothing, mark the literal query.
+function buildSnippet(headline, content, query) {
+  if (headline && headline.includes(SNIPPET_START)) {
+    return escapeHtml(headline)
+      .split(SNIPPET_START).join('<mark>')
+      .split(SNIPPET_STOP).join('</mark>');
+  }
+
+  const index = content.toLowerCase().indexOf(query.toLowerCase());
+  if (index === -1) {
+    return escapeHtml(headline || content.substring(0, SNIPPET_CONTEXT_CHARS * 2));
+  }
+
+  const start = Math.max(0, index - SNIPPET_CONTEXT_CHARS);
+  const end = Math.min(content.length, index + query.length + SNIPPET_CONTEXT_CHARS);
+
+  return (start > 0 ? '… ' : '') +
+    escapeHtml(content.substring(start, index)) +
+    '<mark>' + escapeHtml(content.substring(index, index + query.length)) + '</mark>' +
+    escapeHtml(content.substring(index + query.length, end)) +
+    (end < content.length ? ' …' : '');
+}
+
+// Load the messages of one result page, with highlighted snippets
+async function loadSearchResults(page, query) {
+  if (page.length === 0) return [];
+
+  const result = await pool.query(
+    `SELECT 
+       m.id, m.conversation_id, m.sender as role, m.content, m.model_used, m.created_at,
+       c.title as conversation_title,
+       ts_headline('english', m.content, websearch_to_tsquery('english', $2), $3) AS headline
+     FROM messages m
+     JOIN conversations c ON m.conversation_id = c.id
+     WHERE m.id = ANY($1::int[])`,
+    [
+      page.map(entry => entry.id),
+      query,
+      `StartSel=${SNIPPET_START}, StopSel=${SNIPPET_STOP}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`
+    ]
+  );
+
+  const rows = new Map(result.rows.map(row => [row.id, row]));
+
+  return page.filter(entry => rows.has(entry.id)).map(entry => {
+    const row = rows.get(entry.id);
+    return {
+      id: row.id,
+      conversationId: row.conversation_id,
+      conversationTitle: row.conversation_title,
+      role: row.role,
+      content: row.content,
+      snippet: buildSnippet(row.headline, row.content, query),
+      model: row.model_used,
+      createdAt: row.created_at,
+      score: entry.score,
+      similarity: entry.similarity,
+      matchedBy: entry.matchedBy
+    };
+  });
+}
+
+/* ==========================================
+   BRANCH HELPER FUNCTIONS
+========================================== */
+
+// Load the chain of messages ending at leafId, oldest first.
+// Each row carries its position among its sibling branches.
+async function loadMessagePath(leafId, db = pool) {
+  if (!leafId) return [];
+
+  const result = await db.query(
+    `WITH RECURSIVE path AS (
+       SELECT id, parent_id, 0 AS depth FROM messages WHERE id = $1
+       UNION ALL
+       SELECT m.id, m.parent_id, path.depth + 1
+       FROM messages m
+       JOIN path ON m.id = path.parent_id
+     )
+     SELECT m.id, m.conversation_id, m.parent_id, m.sender, m.content, m.model_used,
+            m.metadata, m.created_at,
+            (SELECT COUNT(*) FROM messages s
+             WHERE s.conversation_id = m.conversation_id
+               AND s.parent_id IS NOT DISTINCT FROM m.parent_id
+               AND s.sender = m.sender)::int AS sibling_count,
+            (SELECT COUNT(*) FROM messages s
+             WHERE s.conversation_id = m.conversation_id
+               AND s.parent_id IS NOT DISTINCT FROM m.parent_id
+               AND s.sender = m.sender
+               AND s.id <= m.id)::int AS sibling_index
+     FROM path
+     JOIN messages m ON m.id = path.id
+     ORDER BY path.depth DESC`,
+    [leafId]
+  );
+
+  return result.rows;
+}
+
+// Follow the most recent replies down from a message to the end of its branch
+async function findBranchLeaf(messageId, db = pool) {
+  const result = await db.query(
+    `WITH RECURSIVE descendants AS (
+       SELECT id, 0 AS depth FROM messages WHERE id = $1
+       UNION ALL
+       SELECT child.id, descendants.depth + 1
+       FROM descendants
+       JOIN LATERAL (
+         SELECT id FROM messages
+         WHERE parent_id = descendants.id
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1
+       ) child ON TRUE
+     )
+     SELECT id FROM descendants ORDER BY depth DESC LIMIT 1`,
+    [messageId]
+  );
+
+  return result.rows[0]?.id || null;
+}
+
+// Fetch a message along with its conversation, if it belongs to the user
+async function findOwnedMessage(messageId, userId) {
+  const result = await pool.query(
+    `SELECT m.*, c.model_used AS conversation_model
+     FROM messages m
+     JOIN conversations c ON m.conversation_id = c.id
+     WHERE m.id = $1 AND c.user_id = $2`,
+    [messageId, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/* ==========================================
+   CONTEXT HELPER FUNCTIONS
+========================================== */
+
+// Rough token estimate (~4 characters per token)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Look up the token budget for a model by its family name
+function getContextBudget(model) {
+  const family = (model || '').split(':')[0];
+  return MODEL_CONTEXT_BUDGETS[family] || DEFAULT_CONTEXT_BUDGET;
+}
+
+// Condense dropped turns into a short extractive summary
+function summarizeDroppedTurns(turns, tokenBudget) {
+  const lines = [];
+  let tokens = 0;
+
+  for (const turn of turns) {
+    const speaker = turn.sender === 'user' ? 'User' : 'Assistant';
+    const text = turn.content.replace(/\s+/g, ' ').trim();
+    const snippet = text.length > SUMMARY_SNIPPET_LENGTH
+      ? text.substring(0, SUMMARY_SNIPPET_LENGTH) + '...'
+      : text;
+    const line = `- ${speaker}: ${snippet}`;
+
+    if (tokens + estimateTokens(line) > tokenBudget) break;
+    lines.push(line);
+    tokens += estimateTokens(line);
+  }
+
+  return lines.join('\n');
+}
+
+// Build the prompt messages for a new turn from the conversation's stored history.
+// History is the branch ending at parentId (the active branch when omitted).
+// Newest turns are kept first; turns that don't fit the model's budget are
+// dropped and condensed into a summary system message.
+async function buildChatContext({ conversationId, userId, message, model, parentId }) {
+  const tokenBudget = getContextBudget(model) - CONTEXT_RESPONSE_RESERVE;
+  const context = {
+    tokenBudget,
+    turnsIncluded: 0,
+    turnsDropped: 0,
+    summarized: false,
+    estimatedTokens: estimateTokens(message)
+  };
+
+  if (!conversationId) {
+    return { messages: [{ role: 'user', content: message }], context };
+  }
+
+  const convo = await pool.query(
+    'SELECT summary, summary_leaf_id, active_leaf_id FROM conversations WHERE id = $1 AND user_id = $2',
+    [conversationId, userId]
+  );
+
+  if (convo.rows.length === 0) {
+    return { messages: [{ role: 'user', content: message }], context };
+  }
+
+  const leafId = parentId === undefined ? convo.rows[0].active_leaf_id : parentId;
+  const history = { rows: await loadMessagePath(leafId) };
+  // A summary written for another branch doesn't describe this one
+  const storedSummary = summaryCheckpoint(history.rows, convo.rows[0].summary_leaf_id) >= 0
+    ? convo.rows[0].summary
+    : null;
+
+  // Walk backwards from the newest turn until the budget runs out
+  const included = [];
+  let usedTokens = context.estimatedTokens;
+  let cutoff = history.rows.length;
+
+  for (let i = history.rows.length - 1; i >= 0; i--) {
+    const turnTokens = estimateTokens(history.rows[i].content);
+    if (usedTokens + turnTokens > tokenBudget) break;
+    included.unshift(history.rows[i]);
+    usedTokens += turnTokens;
+    cutoff = i;
+  }
+
+  const dropped = history.rows.slice(0, cutoff);
+  const messages = [];
+
+  if (dropped.length > 0) {
+    // Give the summary whatever is left, capped at a quarter of the budget
+    // Prefer the rolling summary when there is one and it fits
+    const summaryBudget = Math.min(tokenBudget - usedTokens, Math.floor(tokenBudget / 4));
+    const summary = storedSummary && estimateTokens(storedSummary) <= summaryBudget
+      ? storedSummary
+      : summarizeDroppedTurns(dropped, summaryBudget);
+
+    if (summary) {
+      messages.push({
+        role: 'system',
+        content: `Summary of earlier conversation:\n${summary}`
+      });
+      usedTokens += estimateTokens(summary);
+      context.summarized = true;
+    }
+  }
+
+  included.forEach(turn => {
+    messages.push({
+      role: turn.sender === 'user' ? 'user' : 'assistant',
+      content: turn.content
+    });
+  });
+  messages.push({ role: 'user', content: message });
+
+  context.turnsIncluded = included.length;
+  context.turnsDropped = dropped.length;
+  context.estimatedTokens = usedTokens;
+
+  console.log('🧩 Context assembled:', context);
+  return { messages, context };
+}
+
+/* ==========================================
+   SUMMARY HELPER FUNCTIONS
+========================================== */
+
+// Conversations with a summary refresh in flight
+const summariesInProgress = new Set();
+
+// Position on the path of the last message the summary covers, or -1 when
+// there is none or it was written for another branch
+function summaryCheckpoint(path, summaryLeafId) {
+  return summaryLeafId ? path.findIndex(message => message.id === summaryLeafId) : -1;
+}
+
+// Regenerate the summary of a conversation's active branch. When rolling,
+// only messages after the last summarized one are folded into the previous
+// summary. A configured SUMMARY_MODEL always runs on Ollama; otherwise the
+// chat's provider is used.
+async function refreshConversationSummary(conversationId, { rolling = true, provider = ollamaProvider } = {}) {
+  if (summariesInProgress.has(conversationId)) {
+    console.log(`⏭️ Summary already refreshing for conversation ${conversationId}`);
+    return null;
+  }
+
+  summariesInProgress.add(conversationId);
+
+  try {
+    const convo = await pool.query(
+      `SELECT id, model_used, summary, summary_leaf_id, active_leaf_id
+       FROM conversations WHERE id = $1`,
+      [conversationId]
+    );
+
+    if (convo.rows.length === 0) return null;
+
+    const conversation = convo.rows[0];
+    const path = await loadMessagePath(conversation.active_leaf_id);
+    const checkpoint = rolling && conversation.summary ? summaryCheckpoint(path, conversation.summary_leaf_id) : -1;
+    const previousSummary = checkpoint >= 0 ? conversation.summary : null;
+    const newMessages = path.slice(checkpoint + 1);
+
+    if (newMessages.length === 0) return conversation.summary;
+
+    const transcript = newMessages
+      .map(row => `${row.sender === 'user' ? 'User' : 'Assistant'}: ${row.content}`)
+      .join('\n');
+
+    const prompt = previousSummary
+      ? `Here is the summary of a conversation so far:\n${previousSummary}\n\n` +
+        `Update it to also cover these new messages:\n${transcript}`
+      : `Summarize this conversation:\n${transcript}`;
+
+    const model = SUMMARY_MODEL || conversation.model_used || await getDefaultModel();
+    const summaryProvider = SUMMARY_MODEL ? ollamaProvider : provider;
+    console.log(`📝 Summarizing conversation ${conversationId} with ${model}...`);
+
+    const summary = (await generateChatReply(model, [
+      {
+        role: 'system',
+        content: 'You write concise conversation summaries in at most 5 sentences. ' +
+          'Capture the main topics, decisions and open questions. Reply with the summary only.'
+      },
+      { role: 'user', content: prompt }
+    ], summaryProvider)).trim();
+
+    await pool.query(
+      `UPDATE conversations
+       SET summary = $1, summary_leaf_id = $2, summary_message_count = $3, summary_updated_at = NOW()
+       WHERE id = $4`,
+      [summary, path[path.length - 1].id, path.length, conversationId]
+    );
+
+    console.log(`✅ Summary updated for conversation ${conversationId}`);
+    return summary;
+  } finally {
+    summariesInProgress.delete(conversationId);
+  }
+}
+
+// Refresh the summary once enough new messages have accumulated on the
+// active branch (async, non-blocking)
+async function maybeRefreshSummary(conversationId, provider = ollamaProvider) {
+  try {
+    const result = await pool.query(
+      'SELECT active_leaf_id, summary_leaf_id FROM conversations WHERE id = $1',
+      [conversationId]
+    );
+
+    if (result.rows.length === 0) return;
+
+    const path = await loadMessagePath(result.rows[0].active_leaf_id);
+    const unsummarized = path.length - (summaryCheckpoint(path, result.rows[0].summary_leaf_id) + 1);
+    if (unsummarized < SUMMARY_EVERY_N_MESSAGES) return;
+
+    await refreshConversationSummary(conversationId, { provider });
+  } catch (error) {
+    console.error(`❌ Summary refresh failed for conversation ${conversationId}:`, error.message);
+  }
+}
+
+/* ==========================================
+   TITLE HELPER FUNCTIONS
+========================================== */
+
+// Title used when no generated one is available
+function fallbackTitle(userMessage) {
+  return (userMessage || '').substring(0, TITLE_FALLBACK_LENGTH) || "New Chat";
+}
+
+// Ask the model for a short title describing the first exchange.
+// Returns null if the model is unavailable or replies with nothing usable.
+async function generateTitle(model, userMessage, aiMessage, provider = ollamaProvider) {
+  try {
+    const reply = await generateChatReply(model, [
+      {
+        role: 'system',
+        content: 'You name conversations. Reply with a title of 3 to 6 words describing the topic. ' +
+          'Ignore filler words from voice transcripts. No quotes, no trailing punctuation.'
+      },
+      {
+        role: 'user',
+        content: `User: ${userMessage}\nAssistant: ${(aiMessage || '').substring(0, 500)}`
+      }
+    ], provider);
+
+    const title = reply
+      .split('\n')[0]
+      .replace(/^title:\s*/i, '')
+      .replace(/^["'`*]+|["'`*.!]+$/g, '')
+      .trim()
+      .substring(0, TITLE_MAX_LENGTH);
+
+    return title || null;
+  } catch (error) {
+    console.warn('⚠️ Title generation failed:', error.message);
+    return null;
+  }
+}
+
+// Replace the truncated title of a new conversation with a generated one
+// (async, non-blocking). Locked titles are left alone.
+async function generateConversationTitle(conversationId, userMessage, aiMessage, model, provider) {
+  try {
+    const title = await generateTitle(model, userMessage, aiMessage, provider);
+    if (!title) return;
+
+    const result = await pool.query(
+      `UPDATE conversations
+       SET title = $1
+       WHERE id = $2 AND NOT COALESCE(title_locked, FALSE)
+       RETURNING id`,
+      [title, conversationId]
+    );
+
+    if (result.rows.length > 0) {
+      console.log(`🏷️ Title generated for conversation ${conversationId}: ${title}`);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to store title for conversation ${conversationId}:`, error.message);
+  }
+}
+
+/* ==========================================
+   CHAT HELPER FUNCTIONS
+========================================== */
+
+// Resolve the adapter for a chat provider, using the user's saved key
+async function resolveProvider(userId, providerName) {
+  if (!providerName || providerName === 'ollama') return ollamaProvider;
+
+  const credentials = await getDecryptedKey(userId, providerName);
+
+  if (!credentials) {
+    throw httpError(400, {
+      error: `No API key saved for ${providerName}`,
+      message: 'Add an API key for this provider in settings first.'
+    });
+  }
+
+  return createProvider(providerName, credentials);
+}
+
+// Generate a reply through a provider's chat API (Ollama by default)
+async function generateChatReply(model, messages, provider = ollamaProvider) {
+  console.log(`🤖 Generating reply via ${provider.name} (${model})...`);
+
+  const reply = await provider.chat(model, messages);
+
+  console.log(`✅ Reply generated (${reply.length} chars)`);
+  return reply;
+}
+
+// Stream a reply through a provider, calling onDelta for each chunk.
+// Resolves with the text generated so far, even when aborted via signal.
+async function streamChatReply(model, messages, { signal, onDelta, provider = ollamaProvider }) {
+  console.log(`🤖 Streaming reply via ${provider.name} (${model})...`);
+
+  const { content, truncated } = await provider.streamChat(model, messages, { signal, onDelta });
+
+  if (truncated) {
+    console.log(`⏹️ Generation cancelled after ${content.length} chars`);
+  }
+  console.log(`✅ Reply streamed (${content.length} chars)`);
+  return { content, truncated };
+}
+
+// In-flight streaming generations, keyed by stream ID
+const activeStreams = new Map();
+
+// Build an error carrying the HTTP status and body to send back
+function httpError(status, body) {
+  const error = new Error(body.error);
+  error.status = status;
+  error.body = body;
+  return error;
+}
+
+// Save a user + AI exchange in a single transaction.
+// The user turn replies to parentId (the active leaf when omitted); pass
+// existingUserMessage to add another AI reply to a stored user turn instead.
+// The new AI reply becomes the conversation's active leaf.
+async function persistExchange({ userId, conversationId, userMessage, aiMessage, model, aiMetadata = {}, parentId, existingUserMessage, provider = ollamaProvider }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Validate user exists
+    const userCheck = await client.query(
+      'SELECT id FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (userCheck.rows.length === 0) {
+      console.error('❌ User not found:', userId);
+      throw httpError(404, {
+        error: 'User not found',
+        message: `User with ID ${userId} does not exist. Please log in again.`,
+        userId: userId
+      });
+    }
+
+    let currentConversationId = conversationId;
+    let activeLeafId = null;
+    const isNewConversation = !currentConversationId;
+
+    // Create or update conversation
+    if (isNewConversation) {
+      const title = fallbackTitle(userMessage);
+      console.log('🆕 Creating new conversation with model:', model);
+
+      const convResult = await client.query(
+        `INSERT INTO conversations (user_id, title, model_used)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [userId, title, model]
+      );
+
+      currentConversationId = convResult.rows[0].id;
+      console.log('✅ New conversation created:', currentConversationId);
+    } else {
+      // Validate conversation belongs to user (and lock it while the branch moves)
+      const convCheck = await client.query(
+        'SELECT id, active_leaf_id FROM conversations WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [currentConversationId, userId]
+      );
+
+      if (convCheck.rows.length === 0) {
+        console.error('❌ Conversation not found or access denied:', currentConversationId);
+        throw httpError(404, {
+          error: 'Conversation not found',
+          conversationId: currentConversationId
+        });
+      }
+
+      activeLeafId = convCheck.rows[0].active_leaf_id;
+
+      console.log('🔄 Updating conversation', currentConversationId, 'with model:', model);
+      await client.query(
+        `UPDATE conversations 
+         SET model_used = $1, updated_at = NOW()
+         WHERE id = $2`,
+        [model, currentConversationId]
+      );
+    }
+
+    let userRow = existingUserMessage;
+
+    // Save user message
+    if (!userRow) {
+      const parentMessageId = parentId === undefined ? activeLeafId : parentId;
+
+      const userResult = await client.query(
+        `INSERT INTO messages (conversation_id, parent_id, sender, content, model_used)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [currentConversationId, parentMessageId, "user", userMessage, model]
+      );
+      userRow = userResult.rows[0];
+    }
+
+    // Save AI message
+    const aiResult = await client.query(
+      `INSERT INTO messages (conversation_id, parent_id, sender, content, model_used, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [currentConversationId, userRow.id, "ai", aiMessage, model, JSON.stringify(aiMetadata)]
+    );
+    const aiRow = aiResult.rows[0];
+
+    // Update conversation stats and move the active branch to the new reply
+    await client.query(
+      `UPDATE conversations 
+       SET updated_at = NOW(), message_count = message_count + $2, active_leaf_id = $3
+       WHERE id = $1`,
+      [currentConversationId, existingUserMessage ? 1 : 2, aiRow.id]
+    );
+
+    await client.query('COMMIT');
+
+    console.log('✅ Exchange saved:', { userMessageId: userRow.id, aiMessageId: aiRow.id });
+
+    // ✅ Generate embeddings asynchronously (don't wait for completion)
+    console.log('🔄 Starting embedding generation...');
+    if (!existingUserMessage) {
+      generateAndStoreEmbedding(userRow.id, userMessage).catch(err => 
+        console.warn('⚠️ User message embedding failed:', err.message)
+      );
+    }
+    
+    generateAndStoreEmbedding(aiRow.id, aiMessage).catch(err => 
+      console.warn('⚠️ AI message embedding failed:', err.message)
+    );
+
+    // ✅ Refresh the rolling summary in the background
+    maybeRefreshSummary(currentConversationId, provider);
+
+    // ✅ Name new conversations in the background
+    if (isNewConversation) {
+      generateConversationTitle(currentConversationId, userMessage, aiMessage, model, provider);
+    }
+
+    return {
+      conversationId: currentConversationId,
+      userMessage: userRow,
+      aiMessage: aiRow
+    };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(rollbackError =>
+      console.error('Rollback error:', rollbackError.message)
+    );
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// What the provider said stays in the server log, not the response
+function sendGenerationError(res, error) {
+  console.error('❌ Chat generation failed:', error.message, error.responseText || '');
+  res.status(502).json({ error: "Failed to generate response" });
+}
+
+// Send errors raised while persisting an exchange
+function sendExchangeError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json(error.body);
+  }
+
+  if (error.code === '23503') {
+    return res.status(404).json({ 
+      error: "User not found",
+      message: "The user account does not exist. Please log in again.",
+      details: error.detail
+    });
+  }
+
+  res.status(500).json({ 
+    error: fallbackMessage,
+    details: error.message 
+  });
+}
+
 /* ==========================================
    Create Conversation
 ========================================== */
 exports.createConversation = async (req, res) => {
   try {
-    const { user_id, title, model_used, model_name } = req.body;
+    const { title, model_used, model_name } = req.body;
 
-    const model = model_used || model_name || DEFAULT_MODEL;
+    const model = model_used || model_name || await getDefaultModel();
 
     const result = await pool.query(
       `INSERT INTO conversations (user_id, title, model_used)
        VALUES ($1, $2, $3)
        RETURNING *`,
-      [user_id, title || "New Chat", model]
+      [req.user.id, title || "New Chat", model]
     );
 
     res.status(201).json(result.rows[0]);
@@ -151,44 +1011,63 @@ exports.createConversation = async (req, res) => {
    Create Message
 ========================================== */
 exports.createMessage = async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const { conversation_id, sender, content, model_used, model_name } = req.body;
 
     console.log('📥 createMessage received:', { conversation_id, sender, model_used, model_name });
 
-    const convo = await pool.query(
-      `SELECT model_used FROM conversations WHERE id = $1`,
-      [conversation_id]
+    await client.query('BEGIN');
+
+    // Lock the conversation while the branch moves, so concurrent appends
+    // don't both take the same parent
+    const convo = await client.query(
+      `SELECT model_used, active_leaf_id FROM conversations WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+      [conversation_id, req.user.id]
     );
 
+    if (convo.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
     let model = model_used || model_name;
 
-    if (!model && convo.rows.length && convo.rows[0].model_used) {
+    if (!model && convo.rows[0].model_used) {
       model = convo.rows[0].model_used;
     }
 
-    model = model || DEFAULT_MODEL;
+    model = model || await getDefaultModel();
 
     console.log('✅ Using model:', model);
 
-    await pool.query(
-      `UPDATE conversations
-       SET model_used = COALESCE(model_used, $1), updated_at = NOW()
-       WHERE id = $2`,
-      [model, conversation_id]
+    // Append to the active branch and make the new message its leaf
+    const result = await client.query(
+      `INSERT INTO messages (conversation_id, parent_id, sender, content, model_used)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [conversation_id, convo.rows[0].active_leaf_id, sender, content, model]
     );
 
-    const result = await pool.query(
-      `INSERT INTO messages (conversation_id, sender, content, model_used)
-       VALUES ($1, $2, $3, $4)
-       RETURNING *`,
-      [conversation_id, sender, content, model]
+    await client.query(
+      `UPDATE conversations
+       SET model_used = COALESCE(model_used, $1), active_leaf_id = $2, updated_at = NOW()
+       WHERE id = $3`,
+      [model, result.rows[0].id, conversation_id]
     );
 
+    await client.query('COMMIT');
+
     res.status(201).json(result.rows[0]);
   } catch (error) {
+    await client.query('ROLLBACK').catch(rollbackError =>
+      console.error('Rollback error:', rollbackError.message)
+    );
     console.error("Error creating message:", error);
     res.status(500).json({ error: "Failed to create message" });
+  } finally {
+    client.release();
   }
 };
 
@@ -197,7 +1076,8 @@ exports.createMessage = async (req, res) => {
 ========================================== */
 exports.saveChatMessages = async (req, res) => {
   try {
-    const { userMessage, aiMessage, conversationId, userId, model_used, model_name } = req.body;
+    const { userMessage, aiMessage, conversationId, model_used, model_name } = req.body;
+    const userId = req.user.id;
 
     console.log('💾 saveChatMessages received:', { 
       conversationId, 
@@ -208,175 +1088,321 @@ exports.saveChatMessages = async (req, res) => {
       hasAiMessage: !!aiMessage
     });
 
-    // Validate user exists
-    const userCheck = await pool.query(
-      'SELECT id FROM users WHERE id = $1',
+    const modelToUse = model_used || model_name || await getDefaultModel();
+    console.log('🎯 Model to use:', modelToUse);
+
+    const saved = await persistExchange({
+      userId,
+      conversationId,
+      userMessage,
+      aiMessage,
+      model: modelToUse
+    });
+
+    res.status(200).json({
+      success: true,
+      conversationId: saved.conversationId,
+      message: "Messages saved successfully",
+      modelUsed: modelToUse,
+      embeddingStatus: 'generating' // Indicates embeddings are being generated
+    });
+
+  } catch (error) {
+    console.error("❌ Error saving messages:", error);
+    sendExchangeError(res, error, "Failed to save messages");
+  }
+};
+
+/* ==========================================
+   Get Conversations
+========================================== */
+exports.getConversations = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    const result = await pool.query(
+      `SELECT id, user_id, title, model_used, summary, summary_updated_at,
+              created_at, updated_at, message_count, is_pinned
+       FROM conversations
+       WHERE user_id = $1
+       ORDER BY created_at DESC`,
       [userId]
     );
+    
+    res.json({ conversations: result.rows });
+  } catch (error) {
+    console.error("Error fetching conversations:", error);
+    res.status(500).json({ error: "Failed to fetch conversations" });
+  }
+};
 
-    if (userCheck.rows.length === 0) {
-      console.error('❌ User not found:', userId);
-      return res.status(404).json({ 
-        error: 'User not found',
-        message: `User with ID ${userId} does not exist. Please log in again.`,
-        userId: userId
-      });
+/* ==========================================
+   Get Messages
+========================================== */
+exports.getMessages = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user.id;
+    
+    const convo = await pool.query(
+      `SELECT id, title, active_leaf_id
+       FROM conversations
+       WHERE id = $1 AND user_id = $2`,
+      [conversationId, userId]
+    );
+
+    if (convo.rows.length === 0) {
+      return res.json({ messages: [] });
     }
 
-    let currentConversationId = conversationId;
-    const modelToUse = model_used || model_name || DEFAULT_MODEL;
+    // Only the active branch is returned
+    const { title, active_leaf_id } = convo.rows[0];
+    const path = await loadMessagePath(active_leaf_id);
 
-    console.log('🎯 Model to use:', modelToUse);
+    res.json({
+      messages: path.map(row => ({ ...row, conversation_title: title })),
+      activeLeafId: active_leaf_id
+    });
+  } catch (error) {
+    console.error("Error fetching messages:", error);
+    res.status(500).json({ error: "Failed to fetch messages" });
+  }
+};
 
-    // Create or update conversation
-    if (!currentConversationId) {
-      const title = userMessage.substring(0, 50) || "New Chat";
-      console.log('🆕 Creating new conversation with model:', modelToUse);
+/* ==========================================
+   Edit Message (Forks a New Branch)
+========================================== */
+exports.editMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { content, model, provider } = req.body;
+    const userId = req.user.id;
 
-      const convResult = await pool.query(
-        `INSERT INTO conversations (user_id, title, model_used)
-         VALUES ($1, $2, $3)
-         RETURNING id`,
-        [userId, title, modelToUse]
-      );
+    if (!content || !content.trim()) {
+      return res.status(400).json({ error: "Message content is required" });
+    }
 
-      currentConversationId = convResult.rows[0].id;
-      console.log('✅ New conversation created:', currentConversationId);
-    } else {
-      // Validate conversation belongs to user
-      const convCheck = await pool.query(
-        'SELECT id FROM conversations WHERE id = $1 AND user_id = $2',
-        [currentConversationId, userId]
-      );
+    const original = await findOwnedMessage(messageId, userId);
 
-      if (convCheck.rows.length === 0) {
-        console.error('❌ Conversation not found or access denied:', currentConversationId);
-        return res.status(403).json({ 
-          error: 'Conversation not found or access denied',
-          conversationId: currentConversationId,
-          userId: userId
-        });
-      }
+    if (!original) {
+      await recordAuditEvent("chat.message_edited", { req, actorUserId: userId, target: `message:${messageId}`, outcome: "denied" });
+      return res.status(404).json({ error: "Message not found" });
+    }
 
-      console.log('🔄 Updating conversation', currentConversationId, 'with model:', modelToUse);
-      await pool.query(
-        `UPDATE conversations 
-         SET model_used = $1, updated_at = NOW()
-         WHERE id = $2`,
-        [modelToUse, currentConversationId]
-      );
+    if (original.sender !== 'user') {
+      return res.status(400).json({ error: "Only user messages can be edited" });
     }
 
-    // Save user message
-    const userResult = await pool.query(
-      `INSERT INTO messages (conversation_id, sender, content, model_used)
-       VALUES ($1, $2, $3, $4)
-       RETURNING id, model_used`,
-      [currentConversationId, "user", userMessage, modelToUse]
-    );
+    const modelToUse = model || original.conversation_model || await getDefaultModel();
+    console.log(`✏️ Editing message ${messageId} into a new branch`);
 
-    const userMessageId = userResult.rows[0].id;
-    console.log('✅ User message saved:', userMessageId);
+    if (provider && !isKnownProvider(provider)) {
+      return res.status(400).json({ error: `Unsupported provider: ${provider}` });
+    }
 
-    // Save AI message
-    const aiResult = await pool.query(
-      `INSERT INTO messages (conversation_id, sender, content, model_used)
-       VALUES ($1, $2, $3, $4)
-       RETURNING id, model_used`,
-      [currentConversationId, "ai", aiMessage, modelToUse]
-    );
+    const chatProvider = await resolveProvider(userId, provider);
+
+    // The edited turn becomes a sibling of the original
+    const { messages, context } = await buildChatContext({
+      conversationId: original.conversation_id,
+      userId,
+      message: content,
+      model: modelToUse,
+      parentId: original.parent_id
+    });
+
+    let reply;
+    try {
+      reply = await generateChatReply(modelToUse, messages, chatProvider);
+    } catch (error) {
+      return sendGenerationError(res, error);
+    }
+
+    const saved = await persistExchange({
+      userId,
+      conversationId: original.conversation_id,
+      userMessage: content,
+      aiMessage: reply,
+      model: modelToUse,
+      provider: chatProvider,
+      parentId: original.parent_id
+    });
+
+    await recordAuditEvent("chat.message_edited", {
+      req,
+      actorUserId: userId,
+      target: `message:${messageId}`,
+      metadata: { conversationId: original.conversation_id, newMessageId: saved.userMessage?.id }
+    });
+
+    res.status(201).json({
+      success: true,
+      conversationId: saved.conversationId,
+      reply,
+      modelUsed: modelToUse,
+      userMessage: saved.userMessage,
+      aiMessage: saved.aiMessage,
+      context
+    });
+  } catch (error) {
+    console.error("❌ Error editing message:", error);
+    sendExchangeError(res, error, "Failed to edit message");
+  }
+};
+
+/* ==========================================
+   Regenerate Response (Adds a Sibling Reply)
+========================================== */
+exports.regenerateResponse = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { model, provider } = req.body;
+    const userId = req.user.id;
+
+    const target = await findOwnedMessage(messageId, userId);
+
+    if (!target) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    // Accept either the AI reply to replace or the user turn it answers
+    const userMessage = target.sender === 'user'
+      ? target
+      : await findOwnedMessage(target.parent_id, userId);
+
+    if (!userMessage || userMessage.sender !== 'user') {
+      return res.status(400).json({ error: "No user message to respond to" });
+    }
+
+    const modelToUse = model || target.model_used || userMessage.conversation_model || await getDefaultModel();
+    console.log(`🔁 Regenerating reply to message ${userMessage.id}`);
+
+    if (provider && !isKnownProvider(provider)) {
+      return res.status(400).json({ error: `Unsupported provider: ${provider}` });
+    }
+
+    const chatProvider = await resolveProvider(userId, provider);
 
-    const aiMessageId = aiResult.rows[0].id;
-    console.log('✅ AI message saved:', aiMessageId);
+    const { messages, context } = await buildChatContext({
+      conversationId: userMessage.conversation_id,
+      userId,
+      message: userMessage.content,
+      model: modelToUse,
+      parentId: userMessage.parent_id
+    });
 
-    // Update conversation stats
-    await pool.query(
-      `UPDATE conversations 
-       SET updated_at = NOW(), message_count = message_count + 2
-       WHERE id = $1`,
-      [currentConversationId]
-    );
+    let reply;
+    try {
+      reply = await generateChatReply(modelToUse, messages, chatProvider);
+    } catch (error) {
+      return sendGenerationError(res, error);
+    }
 
-    // ✅ Generate embeddings asynchronously (don't wait for completion)
-    console.log('🔄 Starting embedding generation...');
-    generateAndStoreEmbedding(userMessageId, userMessage).catch(err => 
-      console.warn('⚠️ User message embedding failed:', err.message)
-    );
-    
-    generateAndStoreEmbedding(aiMessageId, aiMessage).catch(err => 
-      console.warn('⚠️ AI message embedding failed:', err.message)
-    );
+    const saved = await persistExchange({
+      userId,
+      conversationId: userMessage.conversation_id,
+      userMessage: userMessage.content,
+      aiMessage: reply,
+      model: modelToUse,
+      provider: chatProvider,
+      existingUserMessage: userMessage
+    });
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      conversationId: currentConversationId,
-      message: "Messages saved successfully",
+      conversationId: saved.conversationId,
+      reply,
       modelUsed: modelToUse,
-      embeddingStatus: 'generating' // Indicates embeddings are being generated
+      userMessage: saved.userMessage,
+      aiMessage: saved.aiMessage,
+      context
     });
-
   } catch (error) {
-    console.error("❌ Error saving messages:", error);
-    
-    if (error.code === '23503') {
-      return res.status(404).json({ 
-        error: "User not found",
-        message: "The user account does not exist. Please log in again.",
-        details: error.detail
-      });
-    }
-    
-    res.status(500).json({ 
-      error: "Failed to save messages",
-      details: error.message 
-    });
+    console.error("❌ Error regenerating response:", error);
+    sendExchangeError(res, error, "Failed to regenerate response");
   }
 };
 
 /* ==========================================
-   Get Conversations
+   Get Message Branches (Siblings)
 ========================================== */
-exports.getConversations = async (req, res) => {
+exports.getMessageBranches = async (req, res) => {
   try {
-    const { userId } = req.params;
-    
-    const result = await pool.query(
-      `SELECT id, user_id, title, model_used, created_at, updated_at, message_count, is_pinned
-       FROM conversations
-       WHERE user_id = $1
-       ORDER BY created_at DESC`,
-      [userId]
+    const { messageId } = req.params;
+    const userId = req.user.id;
+
+    const message = await findOwnedMessage(messageId, userId);
+
+    if (!message) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    const siblings = await pool.query(
+      `SELECT id, parent_id, sender, content, model_used, metadata, created_at
+       FROM messages
+       WHERE conversation_id = $1
+         AND parent_id IS NOT DISTINCT FROM $2
+         AND sender = $3
+       ORDER BY id ASC`,
+      [message.conversation_id, message.parent_id, message.sender]
     );
-    
-    res.json({ conversations: result.rows });
+
+    // Mark which sibling lies on the active branch
+    const convo = await pool.query(
+      'SELECT active_leaf_id FROM conversations WHERE id = $1',
+      [message.conversation_id]
+    );
+    const activePath = await loadMessagePath(convo.rows[0].active_leaf_id);
+    const activeIds = new Set(activePath.map(row => row.id));
+
+    res.json({
+      messageId: message.id,
+      parentId: message.parent_id,
+      branches: siblings.rows.map((row, index) => ({
+        ...row,
+        branchIndex: index + 1,
+        isActive: activeIds.has(row.id)
+      }))
+    });
   } catch (error) {
-    console.error("Error fetching conversations:", error);
-    res.status(500).json({ error: "Failed to fetch conversations" });
+    console.error("Error fetching branches:", error);
+    res.status(500).json({ error: "Failed to fetch branches" });
   }
 };
 
 /* ==========================================
-   Get Messages
+   Switch Active Branch
 ========================================== */
-exports.getMessages = async (req, res) => {
+exports.switchBranch = async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { userId } = req.query;
-    
-    const result = await pool.query(
-      `SELECT m.id, m.conversation_id, m.sender, m.content, m.model_used, m.created_at,
-              c.title as conversation_title
-       FROM messages m
-       LEFT JOIN conversations c ON m.conversation_id = c.id
-       WHERE m.conversation_id = $1 AND c.user_id = $2
-       ORDER BY m.created_at ASC`,
-      [conversationId, userId]
+    const { messageId } = req.body;
+    const userId = req.user.id;
+
+    const message = await findOwnedMessage(messageId, userId);
+
+    if (!message || String(message.conversation_id) !== String(conversationId)) {
+      return res.status(404).json({ error: "Message not found in this conversation" });
+    }
+
+    const leafId = await findBranchLeaf(message.id);
+
+    await pool.query(
+      `UPDATE conversations SET active_leaf_id = $1, updated_at = NOW() WHERE id = $2`,
+      [leafId, message.conversation_id]
     );
-    
-    res.json({ messages: result.rows });
+
+    const path = await loadMessagePath(leafId);
+
+    res.json({
+      success: true,
+      conversationId: message.conversation_id,
+      activeLeafId: leafId,
+      messages: path
+    });
   } catch (error) {
-    console.error("Error fetching messages:", error);
-    res.status(500).json({ error: "Failed to fetch messages" });
+    console.error("Error switching branch:", error);
+    res.status(500).json({ error: "Failed to switch branch" });
   }
 };
 
@@ -386,24 +1412,30 @@ exports.getMessages = async (req, res) => {
 exports.deleteConversation = async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { userId } = req.body;
+    const userId = req.user.id;
 
-    // Delete embeddings first (cascade will handle this, but being explicit)
-    await pool.query(
-      `DELETE FROM embeddings WHERE message_id IN 
-       (SELECT id FROM messages WHERE conversation_id = $1)`,
-      [conversationId]
+    // Messages and their embeddings go with the conversation (ON DELETE CASCADE)
+    const result = await pool.query(
+      `DELETE FROM conversations WHERE id = $1 AND user_id = $2 RETURNING id, title, message_count`,
+      [conversationId, userId]
     );
 
-    await pool.query(
-      `DELETE FROM messages WHERE conversation_id = $1`,
-      [conversationId]
-    );
+    if (result.rows.length === 0) {
+      await recordAuditEvent("chat.conversation_deleted", {
+        req,
+        actorUserId: userId,
+        target: `conversation:${conversationId}`,
+        outcome: "denied"
+      });
+      return res.status(404).json({ error: "Conversation not found" });
+    }
 
-    await pool.query(
-      `DELETE FROM conversations WHERE id = $1 AND user_id = $2`,
-      [conversationId, userId]
-    );
+    await recordAuditEvent("chat.conversation_deleted", {
+      req,
+      actorUserId: userId,
+      target: `conversation:${conversationId}`,
+      metadata: { title: result.rows[0].title, messageCount: result.rows[0].message_count }
+    });
 
     res.json({ success: true, message: "Conversation deleted" });
   } catch (error) {
@@ -418,16 +1450,24 @@ exports.deleteConversation = async (req, res) => {
 exports.updateConversationTitle = async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { title, userId } = req.body;
+    const { title } = req.body;
+    const userId = req.user.id;
 
     const result = await pool.query(
       `UPDATE conversations 
-       SET title = $1, updated_at = NOW()
+       SET title = $1, title_locked = TRUE, updated_at = NOW()
        WHERE id = $2 AND user_id = $3
        RETURNING *`,
       [title, conversationId, userId]
     );
 
+    await recordAuditEvent("chat.conversation_renamed", {
+      req,
+      actorUserId: userId,
+      target: `conversation:${conversationId}`,
+      outcome: result.rows.length > 0 ? "success" : "denied"
+    });
+
     res.json(result.rows[0]);
   } catch (error) {
     console.error("Error updating title:", error);
@@ -435,13 +1475,60 @@ exports.updateConversationTitle = async (req, res) => {
   }
 };
 
+/* ==========================================
+   Regenerate Conversation Title
+========================================== */
+exports.regenerateConversationTitle = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user.id;
+
+    const convo = await pool.query(
+      'SELECT id, model_used, active_leaf_id FROM conversations WHERE id = $1 AND user_id = $2',
+      [conversationId, userId]
+    );
+
+    if (convo.rows.length === 0) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    // Title the conversation from the first exchange of its active branch
+    const firstMessages = (await loadMessagePath(convo.rows[0].active_leaf_id)).slice(0, 2);
+
+    const userMessage = firstMessages.find(row => row.sender === 'user')?.content;
+    const aiMessage = firstMessages.find(row => row.sender === 'ai')?.content;
+
+    if (!userMessage) {
+      return res.status(400).json({ error: "Conversation has no messages to title" });
+    }
+
+    const generated = await generateTitle(convo.rows[0].model_used || await getDefaultModel(), userMessage, aiMessage);
+    const title = generated || fallbackTitle(userMessage);
+
+    // An explicit regenerate replaces a renamed title and unlocks it
+    const result = await pool.query(
+      `UPDATE conversations 
+       SET title = $1, title_locked = FALSE, updated_at = NOW()
+       WHERE id = $2 AND user_id = $3
+       RETURNING *`,
+      [title, conversationId, userId]
+    );
+
+    res.json({ ...result.rows[0], generated: !!generated });
+  } catch (error) {
+    console.error("Error regenerating title:", error);
+    res.status(500).json({ error: "Failed to regenerate title" });
+  }
+};
+
 /* ==========================================
    Update Conversation Model
 ========================================== */
 exports.updateConversationModel = async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { model, userId } = req.body;
+    const { model } = req.body;
+    const userId = req.user.id;
 
     const result = await pool.query(
       `UPDATE conversations 
@@ -451,6 +1538,14 @@ exports.updateConversationModel = async (req, res) => {
       [model, conversationId, userId]
     );
 
+    await recordAuditEvent("chat.conversation_model_changed", {
+      req,
+      actorUserId: userId,
+      target: `conversation:${conversationId}`,
+      outcome: result.rows.length > 0 ? "success" : "denied",
+      metadata: { model }
+    });
+
     res.json(result.rows[0]);
   } catch (error) {
     console.error("Error updating model:", error);
@@ -464,7 +1559,7 @@ exports.updateConversationModel = async (req, res) => {
 exports.togglePinConversation = async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { userId } = req.body;
+    const userId = req.user.id;
 
     const result = await pool.query(
       `UPDATE conversations 
@@ -474,6 +1569,14 @@ exports.togglePinConversation = async (req, res) => {
       [conversationId, userId]
     );
 
+    await recordAuditEvent("chat.conversation_pinned", {
+      req,
+      actorUserId: userId,
+      target: `conversation:${conversationId}`,
+      outcome: result.rows.length > 0 ? "success" : "denied",
+      metadata: { pinned: result.rows[0]?.is_pinned }
+    });
+
     res.json(result.rows[0]);
   } catch (error) {
     console.error("Error toggling pin:", error);
@@ -482,88 +1585,131 @@ exports.togglePinConversation = async (req, res) => {
 };
 
 /* ==========================================
-   Search Messages - WITH SEMANTIC SEARCH
+   Get Conversation Summary
+========================================== */
+exports.getConversationSummary = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      `SELECT id, summary, summary_updated_at, summary_message_count, message_count
+       FROM conversations
+       WHERE id = $1 AND user_id = $2`,
+      [conversationId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    const convo = result.rows[0];
+
+    res.json({
+      conversationId: convo.id,
+      summary: convo.summary,
+      summaryUpdatedAt: convo.summary_updated_at,
+      messagesSummarized: convo.summary_message_count || 0,
+      totalMessages: convo.message_count
+    });
+  } catch (error) {
+    console.error("Error fetching summary:", error);
+    res.status(500).json({ error: "Failed to fetch summary" });
+  }
+};
+
+/* ==========================================
+   Regenerate Conversation Summary
+========================================== */
+exports.regenerateConversationSummary = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user.id;
+
+    const convCheck = await pool.query(
+      'SELECT id FROM conversations WHERE id = $1 AND user_id = $2',
+      [conversationId, userId]
+    );
+
+    if (convCheck.rows.length === 0) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    const summary = await refreshConversationSummary(convCheck.rows[0].id, { rolling: false });
+
+    if (summary === null) {
+      return res.status(409).json({ error: "Summary is already being generated" });
+    }
+
+    res.json({ success: true, conversationId: convCheck.rows[0].id, summary });
+  } catch (error) {
+    console.error("Error regenerating summary:", error);
+    res.status(500).json({ error: "Failed to regenerate summary" });
+  }
+};
+
+/* ==========================================
+   Search Messages - HYBRID (FULL-TEXT + SEMANTIC)
 ========================================== */
 exports.searchMessages = async (req, res) => {
   try {
-    const { userId, query } = req.body;
+    const { query, filters = {}, cursor } = req.body;
+    const userId = req.user.id;
+    const limit = Math.min(parseInt(req.body.limit) || SEARCH_PAGE_SIZE, SEARCH_MAX_PAGE_SIZE);
 
     if (!query || query.trim().length < 3) {
       return res.status(400).json({ error: 'Search query too short' });
     }
 
-    console.log(`🔍 Searching for: "${query}" (user: ${userId})`);
+    const filterError = validateSearchFilters(filters);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
 
-    // Generate embedding for the search query
-    console.log('🔄 Generating query embedding...');
-    const queryEmbedding = await generateEmbedding(query);
-    
-    if (!queryEmbedding) {
-      console.warn('⚠️ Could not generate query embedding, falling back to keyword search');
-      return performKeywordSearch(userId, query, res);
+    const after = cursor ? decodeSearchCursor(cursor) : null;
+    if (cursor && !after) {
+      return res.status(400).json({ error: 'Invalid cursor' });
     }
 
-    console.log('✅ Query embedding generated');
+    const searchText = query.trim();
+    console.log(`🔍 Searching for: "${searchText}" (user: ${userId})`);
 
-    // Get all messages with embeddings for this user
-    const result = await pool.query(
-      `SELECT 
-        m.id, m.conversation_id, m.sender as role, m.content, m.created_at,
-        c.title as conversation_title,
-        e.embedding_vector
-       FROM messages m
-       JOIN conversations c ON m.conversation_id = c.id
-       JOIN embeddings e ON m.id = e.message_id
-       WHERE c.user_id = $1
-       ORDER BY m.created_at DESC`,
-      [userId]
-    );
+    const params = [];
+    const where = buildSearchFilters(userId, filters, params);
 
-    console.log(`📊 Found ${result.rows.length} messages with embeddings`);
+    // Full-text and semantic candidates are gathered independently, then fused
+    const [keywordMatches, queryEmbedding] = await Promise.all([
+      findKeywordMatches(searchText, where, params),
+      generateEmbedding(searchText)
+    ]);
 
-    if (result.rows.length === 0) {
-      console.log('⚠️ No embeddings found, falling back to keyword search');
-      return performKeywordSearch(userId, query, res);
+    let semanticMatches = null;
+    if (queryEmbedding) {
+      semanticMatches = await canUseVectorColumn(queryEmbedding)
+        ? await findSimilarMessagesInDb(queryEmbedding, where, params)
+        : await findSimilarMessagesInApp(queryEmbedding, where, params);
+    } else {
+      console.warn('⚠️ Could not generate query embedding, using full-text results only');
     }
 
-    // Calculate similarity for each message
-    const messagesWithScores = result.rows.map(row => {
-      try {
-        const messageEmbedding = JSON.parse(row.embedding_vector);
-        const similarity = cosineSimilarity(queryEmbedding, messageEmbedding);
-        
-        return {
-          id: row.id,
-          conversationId: row.conversation_id,
-          role: row.role,
-          content: row.content,
-          createdAt: row.created_at,
-          conversationTitle: row.conversation_title,
-          similarity: similarity
-        };
-      } catch (error) {
-        console.error(`Error parsing embedding for message ${row.id}:`, error.message);
-        return null;
-      }
-    }).filter(msg => msg !== null);
-
-    // Sort by similarity and filter by threshold
-    const SIMILARITY_THRESHOLD = 0.3;
-    const relevantMessages = messagesWithScores
-      .filter(msg => msg.similarity >= SIMILARITY_THRESHOLD)
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, 50);
+    // Verbatim hits form a third list so exact identifiers outrank fuzzy matches
+    const ranked = fuseRankings([
+      { source: 'exact', matches: keywordMatches.filter(match => match.verbatim) },
+      { source: 'keyword', matches: keywordMatches },
+      { source: 'semantic', matches: semanticMatches || [] }
+    ]);
 
-    console.log(`✅ Found ${relevantMessages.length} relevant messages (threshold: ${SIMILARITY_THRESHOLD})`);
+    console.log(`✅ ${keywordMatches.length} keyword + ${semanticMatches ? semanticMatches.length : 0} semantic matches → ${ranked.length} results`);
 
-    if (relevantMessages.length === 0) {
-      console.log('⚠️ No relevant messages found, trying keyword search');
-      return performKeywordSearch(userId, query, res);
-    }
+    const remaining = after
+      ? ranked.filter(entry => entry.score < after.score || (entry.score === after.score && entry.id < after.id))
+      : ranked;
+    const page = remaining.slice(0, limit);
+    const results = await loadSearchResults(page, searchText);
 
-    // Group by conversation
+    // Same page grouped by conversation
     const conversations = {};
-    relevantMessages.forEach(msg => {
+    results.forEach(msg => {
       if (!conversations[msg.conversationId]) {
         conversations[msg.conversationId] = {
           conversationId: msg.conversationId,
@@ -571,85 +1717,30 @@ exports.searchMessages = async (req, res) => {
           messages: []
         };
       }
-      conversations[msg.conversationId].messages.push({
-        id: msg.id,
-        conversationId: msg.conversationId,
-        role: msg.role,
-        content: msg.content,
-        createdAt: msg.createdAt,
-        similarity: msg.similarity
-      });
+      conversations[msg.conversationId].messages.push(msg);
     });
 
     res.json({
+      results,
       conversations: Object.values(conversations),
-      totalMessages: relevantMessages.length,
-      searchType: 'semantic',
-      embeddingModel: EMBEDDING_MODEL
+      totalMessages: ranked.length,
+      nextCursor: remaining.length > limit ? encodeSearchCursor(page[page.length - 1]) : null,
+      searchType: semanticMatches ? 'hybrid' : 'keyword',
+      embeddingModel: semanticMatches ? EMBEDDING_MODEL : null
     });
 
   } catch (error) {
-    console.error("❌ Error in semantic search:", error);
+    console.error("❌ Error in message search:", error);
     res.status(500).json({ error: "Failed to search messages" });
   }
 };
 
-// Fallback keyword search function
-async function performKeywordSearch(userId, query, res) {
-  try {
-    console.log('🔍 Performing keyword search...');
-    
-    const result = await pool.query(
-      `SELECT 
-        m.id, m.conversation_id, m.sender as role, m.content, m.created_at,
-        c.title as conversation_title,
-        0.5 as similarity
-       FROM messages m
-       JOIN conversations c ON m.conversation_id = c.id
-       WHERE c.user_id = $1 AND m.content ILIKE $2
-       ORDER BY m.created_at DESC
-       LIMIT 50`,
-      [userId, `%${query}%`]
-    );
-
-    const conversations = {};
-    result.rows.forEach(row => {
-      if (!conversations[row.conversation_id]) {
-        conversations[row.conversation_id] = {
-          conversationId: row.conversation_id,
-          conversationTitle: row.conversation_title,
-          messages: []
-        };
-      }
-      conversations[row.conversation_id].messages.push({
-        id: row.id,
-        conversationId: row.conversation_id,
-        role: row.role,
-        content: row.content,
-        createdAt: row.created_at,
-        similarity: row.similarity || 0
-      });
-    });
-
-    console.log(`✅ Keyword search found ${result.rows.length} messages`);
-
-    res.json({
-      conversations: Object.values(conversations),
-      totalMessages: result.rows.length,
-      searchType: 'keyword'
-    });
-  } catch (error) {
-    console.error("❌ Keyword search error:", error);
-    res.status(500).json({ error: "Failed to search messages" });
-  }
-}
-
 /* ==========================================
    Get Conversation Stats
 ========================================== */
 exports.getConversationStats = async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = req.user.id;
 
     const stats = await pool.query(
       `SELECT 
@@ -674,7 +1765,7 @@ exports.getConversationStats = async (req, res) => {
 ========================================== */
 exports.generateMissingEmbeddings = async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = req.user.id;
     const limit = parseInt(req.query.limit) || 100;
     
     console.log(`🔄 Generating missing embeddings for user ${userId} (limit: ${limit})`);
@@ -740,7 +1831,7 @@ exports.generateMissingEmbeddings = async (req, res) => {
 ========================================== */
 exports.getEmbeddingStats = async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = req.user.id;
 
     const stats = await pool.query(
       `SELECT 
@@ -780,16 +1871,193 @@ exports.getEmbeddingStats = async (req, res) => {
 };
 
 /* ==========================================
-   Get Chat Response (Placeholder)
+   Get Chat Response (Generate + Save)
 ========================================== */
 exports.getChatResponse = async (req, res) => {
   try {
-    res.status(501).json({ 
-      error: "This endpoint should be called on your AI server (port 8000)" 
+    const { message, conversationId, model, model_used, provider } = req.body;
+    const userId = req.user.id;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({ error: "Message is required" });
+    }
+
+    if (provider && !isKnownProvider(provider)) {
+      return res.status(400).json({ error: `Unsupported provider: ${provider}` });
+    }
+
+    const modelToUse = model || model_used || await getDefaultModel();
+    console.log('💬 getChatResponse received:', { conversationId, userId, provider, model: modelToUse });
+
+    const chatProvider = await resolveProvider(userId, provider);
+
+    const { messages, context } = await buildChatContext({
+      conversationId,
+      userId,
+      message,
+      model: modelToUse
+    });
+
+    let reply;
+    try {
+      reply = await generateChatReply(modelToUse, messages, chatProvider);
+    } catch (error) {
+      return sendGenerationError(res, error);
+    }
+
+    const saved = await persistExchange({
+      userId,
+      conversationId,
+      userMessage: message,
+      aiMessage: reply,
+      model: modelToUse,
+      provider: chatProvider
+    });
+
+    res.status(200).json({
+      success: true,
+      conversationId: saved.conversationId,
+      reply,
+      modelUsed: modelToUse,
+      userMessage: saved.userMessage,
+      aiMessage: saved.aiMessage,
+      context,
+      embeddingStatus: 'generating'
+    });
+
+  } catch (error) {
+    console.error("❌ Error in chat response:", error);
+    sendExchangeError(res, error, "Failed to process chat message");
+  }
+};
+
+/* ==========================================
+   Stream Chat Response (Server-Sent Events)
+========================================== */
+exports.streamChatResponse = async (req, res) => {
+  const { message, conversationId, model, model_used, provider } = req.body;
+  const userId = req.user.id;
+
+  if (!message || !message.trim()) {
+    return res.status(400).json({ error: "Message is required" });
+  }
+
+  if (provider && !isKnownProvider(provider)) {
+    return res.status(400).json({ error: `Unsupported provider: ${provider}` });
+  }
+
+  let chatProvider;
+  try {
+    chatProvider = await resolveProvider(userId, provider);
+  } catch (error) {
+    console.error("❌ Error resolving provider:", error);
+    return sendExchangeError(res, error, "Failed to process chat message");
+  }
+
+  const modelToUse = model || model_used || await getDefaultModel();
+  const streamId = crypto.randomUUID();
+  const controller = new AbortController();
+  const startedAt = Date.now();
+  let firstTokenAt = null;
+
+  activeStreams.set(streamId, { controller, userId });
+  console.log('📡 streamChatResponse started:', { streamId, conversationId, userId, model: modelToUse });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Closing the connection cancels generation just like the cancel endpoint
+  res.on('close', () => controller.abort());
+
+  sendEvent('start', { streamId, model: modelToUse });
+
+  try {
+    const { messages, context } = await buildChatContext({
+      conversationId,
+      userId,
+      message,
+      model: modelToUse
+    });
+
+    const { content, truncated } = await streamChatReply(
+      modelToUse,
+      messages,
+      {
+        signal: controller.signal,
+        provider: chatProvider,
+        onDelta: (delta) => {
+          if (!firstTokenAt) firstTokenAt = Date.now();
+          sendEvent('delta', { content: delta });
+        }
+      }
+    );
+
+    const completedAt = Date.now();
+    const timing = {
+      totalMs: completedAt - startedAt,
+      firstTokenMs: firstTokenAt ? firstTokenAt - startedAt : null
+    };
+
+    const saved = await persistExchange({
+      userId,
+      conversationId,
+      userMessage: message,
+      aiMessage: content,
+      model: modelToUse,
+      provider: chatProvider,
+      aiMetadata: truncated ? { truncated: true, timing } : { timing }
     });
+
+    sendEvent('done', {
+      conversationId: saved.conversationId,
+      userMessageId: saved.userMessage.id,
+      aiMessageId: saved.aiMessage.id,
+      modelUsed: modelToUse,
+      truncated,
+      timing,
+      context
+    });
+  } catch (error) {
+    console.error("❌ Error in streaming chat response:", error, error.responseText || "");
+    sendEvent('error', {
+      error: error.status ? error.body.error : "Failed to process chat message"
+    });
+  } finally {
+    activeStreams.delete(streamId);
+    res.end();
+  }
+};
+
+/* ==========================================
+   Cancel Streaming Chat Response
+========================================== */
+exports.cancelChatStream = async (req, res) => {
+  try {
+    const { streamId } = req.params;
+    const userId = req.user.id;
+
+    const stream = activeStreams.get(streamId);
+
+    if (!stream || String(stream.userId) !== String(userId)) {
+      return res.status(404).json({ error: "Stream not found or already finished" });
+    }
+
+    stream.controller.abort();
+    console.log(`⏹️ Stream ${streamId} cancelled`);
+
+    res.json({ success: true, message: "Generation cancelled" });
   } catch (error) {
-    console.error("Error:", error);
-    res.status(500).json({ error: "Server error" });
+    console.error("Error cancelling stream:", error);
+    res.status(500).json({ error: "Failed to cancel stream" });
   }
 };
 
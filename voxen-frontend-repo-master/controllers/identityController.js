@@ -0,0 +1,145 @@
+// controllers/identityController.js
+const pool = require("../config/db");
+const { getProvider, listProviders } = require("../config/passport");
+const { createSession } = require("../services/sessions");
+const { isTwoFactorEnabled, createMfaChallenge } = require("../services/twoFactor");
+const {
+  listIdentities,
+  unlinkIdentity,
+  createLinkIntent,
+  getPendingLinkUser,
+  confirmPendingLink,
+} = require("../services/identities");
+const { getRetryAfter, recordFailedAttempt, clearFailedAttempts, tooManyAttempts } = require("../services/loginThrottle");
+const { recordAuditEvent } = require("../services/audit");
+
+// Linked sign-in providers, and whether the account also has a password
+const getIdentities = async (req, res) => {
+  try {
+    const identities = await listIdentities(req.user.id);
+    const user = await pool.query("SELECT password_hash IS NOT NULL AS has_password FROM users WHERE id = $1", [
+      req.user.id,
+    ]);
+
+    res.json({
+      hasPassword: user.rows[0].has_password,
+      identities: identities.map((identity) => ({
+        provider: identity.provider,
+        email: identity.email,
+        displayName: identity.display_name,
+        linkedAt: identity.created_at,
+        lastUsedAt: identity.last_used_at,
+      })),
+      linkableProviders: listProviders(),
+    });
+  } catch (error) {
+    console.error("Identity list error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// The browser can't send the bearer token through the provider's pages, so
+// it gets a single-use URL that carries the link request instead
+const startIdentityLink = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!getProvider(provider)) {
+      return res.status(400).json({ error: `Unsupported provider: ${provider}` });
+    }
+
+    const linkToken = await createLinkIntent(req.user.id);
+    res.json({ redirectUrl: `/api/auth/${provider}?link=${linkToken}` });
+  } catch (error) {
+    console.error("Identity link error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const deleteIdentity = async (req, res) => {
+  try {
+    await unlinkIdentity(req.user.id, req.params.provider);
+    await recordAuditEvent("identity.unlinked", {
+      req,
+      actorUserId: req.user.id,
+      target: `user:${req.user.id}`,
+      metadata: { provider: req.params.provider },
+    });
+    res.json({ message: "Account unlinked" });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error("Identity unlink error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// A provider sign-in matched an existing account's email: the account's
+// password links the two and signs in
+const confirmIdentityLink = async (req, res) => {
+  try {
+    const { linkToken, password } = req.body;
+
+    if (!linkToken || !password) {
+      return res.status(400).json({ error: "Link token and password are required" });
+    }
+
+    // Password guesses count against the account (and IP) as on /login
+    const owner = await getPendingLinkUser(linkToken);
+    const attemptKeys = [["account", owner.email.toLowerCase()], ["ip", req.ip]];
+    const target = `user:${owner.id}`;
+
+    const retryAfter = await getRetryAfter(attemptKeys);
+    if (retryAfter > 0) {
+      await recordAuditEvent("identity.linked", { req, target, outcome: "denied", metadata: { reason: "throttled" } });
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    let user;
+    try {
+      user = await confirmPendingLink(linkToken, password);
+    } catch (error) {
+      if (error.code === "invalid_password") {
+        await recordFailedAttempt(attemptKeys, req);
+        await recordAuditEvent("identity.linked", { req, target, outcome: "failure", metadata: { reason: "invalid_password" } });
+      }
+      if (error.code === "account_suspended" || error.code === "password_reset_required") {
+        await recordAuditEvent("identity.linked", { req, target, outcome: "denied", metadata: { reason: error.code } });
+      }
+      throw error;
+    }
+    await clearFailedAttempts("account", attemptKeys[0][1]);
+    await recordAuditEvent("identity.linked", { req, actorUserId: user.id, target: `user:${user.id}`, metadata: { confirmedWith: "password" } });
+
+    if (await isTwoFactorEnabled(user.id)) {
+      const mfaToken = await createMfaChallenge(user.id, "password");
+      return res.json({ message: "Account linked. Two-factor authentication code required", mfaRequired: true, mfaToken });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      message: "Account linked",
+      user: {
+        id: user.id,
+        full_name: user.full_name || user.username,
+        email: user.email,
+        username: user.username,
+        profile_picture: user.profile_picture || "",
+        email_verified: user.email_verified,
+        created_at: user.created_at,
+      },
+      token,
+      refreshToken,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error("Identity link confirm error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+module.exports = { getIdentities, startIdentityLink, deleteIdentity, confirmIdentityLink };
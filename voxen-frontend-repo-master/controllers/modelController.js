@@ -0,0 +1,53 @@
+// controllers/modelController.js
+const { getModelCatalog, getOllamaModels, setDefaultModel } = require("../services/modelCatalog");
+
+// Installed Ollama models plus those of the user's keyed providers
+const getModels = async (req, res) => {
+  try {
+    const catalog = await getModelCatalog({
+      userId: req.user.id,
+      refresh: req.query.refresh === "true",
+    });
+    res.json(catalog);
+  } catch (error) {
+    console.error("Model catalogue error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Admin: choose the model used when a request does not name one
+const updateDefaultModel = async (req, res) => {
+  try {
+    const { model } = req.body;
+
+    if (!model || typeof model !== "string") {
+      return res.status(400).json({ error: "Model is required" });
+    }
+
+    let installed;
+    try {
+      installed = await getOllamaModels({ refresh: true });
+    } catch (error) {
+      console.warn("⚠️ Could not verify default model:", error.message);
+      return res.status(503).json({ error: "Could not reach Ollama to verify the model" });
+    }
+
+    const entry = installed.find((candidate) => candidate.id === model);
+    if (!entry) {
+      return res.status(400).json({ error: `Model is not installed in Ollama: ${model}` });
+    }
+    if (entry.embeddingOnly) {
+      return res.status(400).json({ error: "Embedding models cannot be used for chat" });
+    }
+
+    await setDefaultModel(model, req.user.id);
+    console.log(`🤖 Default model set to ${model} by user ${req.user.id}`);
+
+    res.json({ message: "Default model updated", defaultModel: model });
+  } catch (error) {
+    console.error("Default model update error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+module.exports = { getModels, updateDefaultModel };
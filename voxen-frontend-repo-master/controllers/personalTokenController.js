@@ -0,0 +1,73 @@
+// controllers/personalTokenController.js
+const {
+  SCOPES,
+  listPersonalTokens,
+  createPersonalToken,
+  revokePersonalToken,
+} = require("../services/personalTokens");
+const { recordAuditEvent } = require("../services/audit");
+
+// The user's tokens (never the tokens themselves) and the scopes on offer
+const getPersonalTokens = async (req, res) => {
+  try {
+    const tokens = await listPersonalTokens(req.user.id);
+    res.json({ tokens, scopes: SCOPES });
+  } catch (error) {
+    console.error("Personal token list error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Create a token; its value is shown once, in this response
+const addPersonalToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body || {};
+    const { token, details } = await createPersonalToken(req.user.id, { name, scopes, expiresInDays });
+
+    await recordAuditEvent("token.created", {
+      req,
+      actorUserId: req.user.id,
+      target: `token:${details.id}`,
+      metadata: { name: details.name, scopes: details.scopes, expiresAt: details.expires_at },
+    });
+    console.log(`🔑 Personal access token ${details.id} created for user ${req.user.id}`);
+
+    res.status(201).json({
+      message: "Token created. Copy it now; it won't be shown again",
+      token,
+      details,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error("Personal token create error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const deletePersonalToken = async (req, res) => {
+  try {
+    const tokenId = parseInt(req.params.tokenId);
+    const revoked = Number.isInteger(tokenId) ? await revokePersonalToken(req.user.id, tokenId) : null;
+
+    if (!revoked) {
+      return res.status(404).json({ error: "Token not found" });
+    }
+
+    await recordAuditEvent("token.revoked", {
+      req,
+      actorUserId: req.user.id,
+      target: `token:${revoked.id}`,
+      metadata: { name: revoked.name },
+    });
+    console.log(`🗑️ Personal access token ${revoked.id} revoked for user ${req.user.id}`);
+
+    res.json({ message: "Token revoked" });
+  } catch (error) {
+    console.error("Personal token revoke error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+module.exports = { getPersonalTokens, addPersonalToken, deletePersonalToken };
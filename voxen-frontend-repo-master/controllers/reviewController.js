@@ -1,4 +1,5 @@
 const pool = require("../config/db");
+const { recordAuditEvent } = require("../services/audit");
 
 // Get Reviews
 const getReviews = async (req, res) => {
@@ -116,6 +117,7 @@ const updateReview = async (req, res) => {
     );
 
     if (existingReview.rows.length === 0) {
+      await recordAuditEvent("review.updated", { req, actorUserId: req.user.id, target: `review:${reviewId}`, outcome: "denied" });
       return res.status(404).json({ error: "Review not found or unauthorized" });
     }
 
@@ -127,6 +129,13 @@ const updateReview = async (req, res) => {
       [title, text, rating, reviewId, req.user.id]
     );
 
+    await recordAuditEvent("review.updated", {
+      req,
+      actorUserId: req.user.id,
+      target: `review:${reviewId}`,
+      metadata: { rating: { from: existingReview.rows[0].rating, to: updatedReview.rows[0].rating } },
+    });
+
     // Get user data
     const userResult = await pool.query(
       "SELECT profile_picture, full_name, username FROM users WHERE id = $1",
@@ -161,6 +170,7 @@ const deleteReview = async (req, res) => {
     );
 
     if (existingReview.rows.length === 0) {
+      await recordAuditEvent("review.deleted", { req, actorUserId: req.user.id, target: `review:${reviewId}`, outcome: "denied" });
       return res.status(404).json({ error: "Review not found or unauthorized" });
     }
 
@@ -169,6 +179,13 @@ const deleteReview = async (req, res) => {
       req.user.id,
     ]);
 
+    await recordAuditEvent("review.deleted", {
+      req,
+      actorUserId: req.user.id,
+      target: `review:${reviewId}`,
+      metadata: { title: existingReview.rows[0].title },
+    });
+
     res.json({ message: "Review deleted successfully" });
   } catch (error) {
     console.error("Review deletion error:", error);
@@ -0,0 +1,225 @@
+// controllers/twoFactorController.js
+const bcrypt = require("bcryptjs");
+const pool = require("../config/db");
+const { createSession } = require("../services/sessions");
+const {
+  beginEnrollment,
+  confirmEnrollment,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  getMfaChallengeUserId,
+  useMfaChallenge,
+  completeMfaChallenge,
+} = require("../services/twoFactor");
+const { getRetryAfter, recordFailedAttempt, clearFailedAttempts, tooManyAttempts } = require("../services/loginThrottle");
+const { recordAuditEvent } = require("../services/audit");
+
+const getTwoFactor = async (req, res) => {
+  try {
+    res.json(await getTwoFactorStatus(req.user.id));
+  } catch (error) {
+    console.error("2FA status error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Step 1 of enrollment: a new secret as an otpauth:// URI and a QR code image
+const setupTwoFactor = async (req, res) => {
+  try {
+    const enrollment = await beginEnrollment(req.user);
+    res.json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      secret: enrollment.secret,
+      otpauthUri: enrollment.otpauthUri,
+      qrCode: enrollment.qrCode,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("2FA setup error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Step 2: the first code turns 2FA on and returns the recovery codes
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: "Authentication code is required" });
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.user.id, code);
+    console.log(`🔐 Two-factor authentication enabled for user ${req.user.id}`);
+    await recordAuditEvent("mfa.enabled", { req, actorUserId: req.user.id, target: `user:${req.user.id}` });
+
+    res.json({
+      message: "Two-factor authentication enabled. Store these recovery codes somewhere safe",
+      recoveryCodes,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error("2FA enable error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Turning 2FA off needs the password (if the account has one) and a
+// current code or recovery code
+const disableTwoFactorAuth = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const result = await pool.query("SELECT email, password_hash FROM users WHERE id = $1", [req.user.id]);
+    const { email, password_hash: passwordHash } = result.rows[0];
+
+    if (passwordHash) {
+      // Throttled like /login, so a stolen session can't guess the password
+      const attemptKeys = [["account", email.toLowerCase()], ["ip", req.ip]];
+      const retryAfter = await getRetryAfter(attemptKeys);
+      if (retryAfter > 0) return tooManyAttempts(res, retryAfter);
+
+      if (!(password && (await bcrypt.compare(password, passwordHash)))) {
+        await recordFailedAttempt(attemptKeys, req);
+        return res.status(401).json({ error: "Password is incorrect", code: "invalid_password" });
+      }
+      await clearFailedAttempts("account", attemptKeys[0][1]);
+    }
+
+    // Wrong codes are throttled per account, as at sign-in
+    const codeAttemptKeys = [["mfa", String(req.user.id)], ["ip", req.ip]];
+    const codeRetryAfter = await getRetryAfter(codeAttemptKeys);
+    if (codeRetryAfter > 0) return tooManyAttempts(res, codeRetryAfter);
+
+    if (!(await verifySecondFactor(req.user.id, { code, recoveryCode }))) {
+      await recordFailedAttempt(codeAttemptKeys, req);
+      return res.status(401).json({ error: "Invalid authentication code", code: "invalid_mfa_code" });
+    }
+    await clearFailedAttempts("mfa", codeAttemptKeys[0][1]);
+
+    await disableTwoFactor(req.user.id);
+    console.log(`🔓 Two-factor authentication disabled for user ${req.user.id}`);
+    await recordAuditEvent("mfa.disabled", { req, actorUserId: req.user.id, target: `user:${req.user.id}` });
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// New recovery codes (the old ones stop working), confirmed with a code
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    // Wrong codes are throttled per account, as at sign-in
+    const attemptKeys = [["mfa", String(req.user.id)], ["ip", req.ip]];
+    const retryAfter = await getRetryAfter(attemptKeys);
+    if (retryAfter > 0) return tooManyAttempts(res, retryAfter);
+
+    if (!(await verifySecondFactor(req.user.id, { code }))) {
+      await recordFailedAttempt(attemptKeys, req);
+      return res.status(401).json({ error: "Invalid authentication code", code: "invalid_mfa_code" });
+    }
+    await clearFailedAttempts("mfa", attemptKeys[0][1]);
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+    await recordAuditEvent("mfa.recovery_codes_regenerated", { req, actorUserId: req.user.id, target: `user:${req.user.id}` });
+    res.json({ message: "New recovery codes generated", recoveryCodes });
+  } catch (error) {
+    console.error("Recovery code error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Second login step: the mfaToken from /login or /exchange plus a code
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: "mfaToken and a code or recovery code are required" });
+    }
+
+    // Wrong codes also count per account, so new challenges (one per correct
+    // password) don't bring new guesses
+    const userId = await getMfaChallengeUserId(mfaToken);
+    const attemptKeys = [["mfa", String(userId)], ["ip", req.ip]];
+    const retryAfter = await getRetryAfter(attemptKeys);
+    if (retryAfter > 0) {
+      await recordAuditEvent("auth.login", {
+        req,
+        target: `user:${userId}`,
+        outcome: "denied",
+        metadata: { reason: "throttled", secondFactor: true },
+      });
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    const challenge = await useMfaChallenge(mfaToken);
+
+    if (!(await verifySecondFactor(challenge.user_id, { code, recoveryCode }))) {
+      await recordFailedAttempt(attemptKeys, req);
+      await recordAuditEvent("auth.login", {
+        req,
+        target: `user:${challenge.user_id}`,
+        outcome: "failure",
+        metadata: { method: challenge.method, reason: "invalid_mfa_code" },
+      });
+      return res.status(401).json({ error: "Invalid authentication code", code: "invalid_mfa_code" });
+    }
+    await clearFailedAttempts("mfa", attemptKeys[0][1]);
+    if (!(await completeMfaChallenge(mfaToken))) {
+      return res.status(401).json({ error: "Sign-in already completed", code: "mfa_challenge_invalid" });
+    }
+
+    const userResult = await pool.query("SELECT * FROM users WHERE id = $1", [challenge.user_id]);
+    const user = userResult.rows[0];
+    const { token, refreshToken } = await createSession(user, req);
+
+    console.log(`🔐 Two-factor sign-in (${challenge.method}) for user ${user.id}`);
+    await recordAuditEvent("auth.login", {
+      req,
+      actorUserId: user.id,
+      target: `user:${user.id}`,
+      metadata: { method: challenge.method, secondFactor: recoveryCode ? "recovery_code" : "totp" },
+    });
+
+    res.json({
+      message: "Login successful",
+      user: {
+        id: user.id,
+        full_name: user.full_name || user.username,
+        email: user.email,
+        username: user.username,
+        profile_picture: user.profile_picture || "",
+        email_verified: user.email_verified,
+        created_at: user.created_at,
+      },
+      token,
+      refreshToken,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error("2FA login error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+module.exports = {
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+};
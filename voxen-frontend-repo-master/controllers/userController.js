@@ -1,11 +1,24 @@
 const pool = require("../config/db");
 const fs = require("fs");
 const path = require("path");
+const bcrypt = require("bcryptjs");
+const { consumeAccountToken, sendEmailChangeConfirmation } = require("../services/accountTokens");
+const { revokeAllSessions } = require("../services/sessions");
+const { checkPassword } = require("../services/passwordPolicy");
+const { getRetryAfter, recordFailedAttempt, clearFailedAttempts, tooManyAttempts } = require("../services/loginThrottle");
+const { recordAuditEvent, listUserAuditEvents } = require("../services/audit");
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,50}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const PROFILE_COLUMNS =
+  "id, full_name, email, username, role, profile_picture, email_verified, pending_email, deletion_scheduled_for, " +
+  "password_hash IS NOT NULL AS has_password, created_at";
 
 const getProfile = async (req, res) => {
   try {
     const user = await pool.query(
-      "SELECT id, full_name, email, username, profile_picture, created_at FROM users WHERE id = $1",
+      `SELECT ${PROFILE_COLUMNS} FROM users WHERE id = $1`,
       [req.user.id]
     );
 
@@ -48,6 +61,13 @@ const uploadProfilePicture = async (req, res) => {
       }
     }
 
+    await recordAuditEvent("profile.picture_uploaded", {
+      req,
+      actorUserId: req.user.id,
+      target: `user:${req.user.id}`,
+      metadata: { replaced: Boolean(currentUser.rows[0]?.profile_picture) },
+    });
+
     res.json({
       message: "Profile picture uploaded successfully",
       user: updatedUser.rows[0],
@@ -82,6 +102,8 @@ const deleteProfilePicture = async (req, res) => {
       [req.user.id]
     );
 
+    await recordAuditEvent("profile.picture_deleted", { req, actorUserId: req.user.id, target: `user:${req.user.id}` });
+
     res.json({
       message: "Profile picture deleted successfully",
       user: updatedUser.rows[0],
@@ -92,4 +114,239 @@ const deleteProfilePicture = async (req, res) => {
   }
 };
 
-module.exports = { getProfile, uploadProfilePicture, deleteProfilePicture };
+// Name and username change at once; a new email only replaces the current
+// one after the link sent to it is opened (see confirmEmailChange)
+const updateProfile = async (req, res) => {
+  try {
+    const { fullName, username, email } = req.body;
+
+    if (fullName === undefined && username === undefined && email === undefined) {
+      return res.status(400).json({ error: "Nothing to update" });
+    }
+
+    const currentResult = await pool.query("SELECT id, full_name, email, username FROM users WHERE id = $1", [
+      req.user.id,
+    ]);
+    const current = currentResult.rows[0];
+    const updates = {};
+
+    if (fullName !== undefined) {
+      if (typeof fullName !== "string" || !fullName.trim() || fullName.trim().length > 255) {
+        return res.status(400).json({ error: "Full name must be 1-255 characters" });
+      }
+      updates.full_name = fullName.trim();
+    }
+
+    if (username !== undefined && username !== current.username) {
+      if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+        return res.status(400).json({
+          error: "Username must be 3-50 letters, digits, dots, dashes or underscores",
+        });
+      }
+      const taken = await pool.query("SELECT 1 FROM users WHERE LOWER(username) = LOWER($1) AND id <> $2", [
+        username,
+        req.user.id,
+      ]);
+      if (taken.rows.length > 0) {
+        return res.status(409).json({ error: "Username already taken", code: "username_taken" });
+      }
+      updates.username = username;
+    }
+
+    let newEmail;
+    if (email !== undefined) {
+      if (typeof email !== "string" || !EMAIL_PATTERN.test(email.trim())) {
+        return res.status(400).json({ error: "Email address is invalid" });
+      }
+      newEmail = email.trim();
+
+      if (newEmail.toLowerCase() === current.email.toLowerCase()) {
+        // Asking for the current address again cancels a pending change
+        updates.pending_email = null;
+        newEmail = null;
+      } else {
+        const taken = await pool.query("SELECT 1 FROM users WHERE LOWER(email) = LOWER($1)", [newEmail]);
+        if (taken.rows.length > 0) {
+          return res.status(409).json({ error: "Email already registered", code: "email_taken" });
+        }
+        updates.pending_email = newEmail;
+      }
+    }
+
+    const columns = Object.keys(updates);
+    if (columns.length > 0) {
+      await pool.query(
+        `UPDATE users SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(", ")}, updated_at = NOW()
+         WHERE id = $1`,
+        [req.user.id, ...Object.values(updates)]
+      );
+    }
+
+    const updated = await pool.query(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = $1`, [req.user.id]);
+    const user = updated.rows[0];
+
+    if (columns.length > 0) {
+      await recordAuditEvent("profile.updated", {
+        req,
+        actorUserId: req.user.id,
+        target: `user:${req.user.id}`,
+        metadata: {
+          fields: columns,
+          ...(updates.username && { username: { from: current.username, to: updates.username } }),
+          ...(newEmail && { emailChangeRequestedTo: newEmail }),
+        },
+      });
+    }
+
+    if (newEmail) {
+      console.log(`📧 Email change requested for user ${user.id}`);
+      // Like sign-up, a mail outage doesn't fail the request; sending the email again retries
+      sendEmailChangeConfirmation(user, newEmail).catch((error) => {
+        console.error("❌ Email change confirmation failed:", error.message);
+      });
+    }
+
+    res.json({
+      message: newEmail ? `Profile updated. Check ${newEmail} to confirm your new email address` : "Profile updated",
+      user,
+    });
+  } catch (error) {
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "Username already taken", code: "username_taken" });
+    }
+    console.error("Profile update error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Swap in the pending email with the token from the confirmation link
+const confirmEmailChange = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ error: "Confirmation token is required" });
+    }
+
+    await client.query("BEGIN");
+
+    const userId = await consumeAccountToken(token, "change_email", client);
+    const pending = userId
+      ? await client.query("SELECT pending_email FROM users WHERE id = $1 FOR UPDATE", [userId])
+      : null;
+
+    if (!pending?.rows[0]?.pending_email) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Confirmation link is invalid or has expired", code: "invalid_token" });
+    }
+
+    const previous = await client.query("SELECT email FROM users WHERE id = $1", [userId]);
+    const updated = await client.query(
+      `UPDATE users SET email = pending_email, pending_email = NULL, email_verified = TRUE, updated_at = NOW()
+       WHERE id = $1
+       RETURNING email`,
+      [userId]
+    );
+    await client.query("COMMIT");
+
+    console.log(`📧 Email changed for user ${userId}`);
+    await recordAuditEvent("profile.email_changed", {
+      req,
+      target: `user:${userId}`,
+      metadata: { from: previous.rows[0].email, to: updated.rows[0].email },
+    });
+    res.json({ message: "Email address updated", email: updated.rows[0].email });
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "Email already registered", code: "email_taken" });
+    }
+    console.error("Email change error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+};
+
+// Change the password, or set a first one on accounts that only used a
+// sign-in provider. Every other session is signed out.
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword || typeof newPassword !== "string") {
+      return res.status(400).json({ error: "New password is required" });
+    }
+    const result = await pool.query("SELECT email, username, password_hash FROM users WHERE id = $1", [req.user.id]);
+    const { password_hash: passwordHash, ...owner } = result.rows[0];
+
+    if (passwordHash) {
+      // Throttled like /login, so a stolen session can't guess the password
+      const attemptKeys = [["account", owner.email.toLowerCase()], ["ip", req.ip]];
+      const retryAfter = await getRetryAfter(attemptKeys);
+      if (retryAfter > 0) return tooManyAttempts(res, retryAfter);
+
+      if (!currentPassword || !(await bcrypt.compare(currentPassword, passwordHash))) {
+        await recordFailedAttempt(attemptKeys, req);
+        await recordAuditEvent("auth.password_changed", {
+          req,
+          actorUserId: req.user.id,
+          target: `user:${req.user.id}`,
+          outcome: "failure",
+          metadata: { reason: "invalid_password" },
+        });
+        return res.status(401).json({ error: "Current password is incorrect", code: "invalid_password" });
+      }
+      await clearFailedAttempts("account", attemptKeys[0][1]);
+    }
+
+    const passwordProblem = checkPassword(newPassword, owner);
+    if (passwordProblem) {
+      return res.status(400).json({ error: passwordProblem, code: "weak_password" });
+    }
+
+    await pool.query("UPDATE users SET password_hash = $1, password_reset_required = FALSE, updated_at = NOW() WHERE id = $2", [
+      await bcrypt.hash(newPassword, 10),
+      req.user.id,
+    ]);
+
+    const revoked = await revokeAllSessions(req.user.id, "password_change", { except: req.user.sid });
+    console.log(`🔑 Password ${passwordHash ? "changed" : "set"} for user ${req.user.id}, ${revoked} other sessions revoked`);
+    await recordAuditEvent(passwordHash ? "auth.password_changed" : "auth.password_set", {
+      req,
+      actorUserId: req.user.id,
+      target: `user:${req.user.id}`,
+      metadata: { sessionsRevoked: revoked },
+    });
+
+    res.json({ message: passwordHash ? "Password changed" : "Password set", sessionsRevoked: revoked });
+  } catch (error) {
+    console.error("Password change error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// The signed-in user's own security events, newest first
+const getSecurityEvents = async (req, res) => {
+  try {
+    res.json(await listUserAuditEvents(req.user.id, req.query));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error("Security event list error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  confirmEmailChange,
+  changePassword,
+  uploadProfilePicture,
+  deleteProfilePicture,
+  getSecurityEvents,
+};
@@ -1,17 +1,117 @@
 const jwt = require("jsonwebtoken");
+const { getActiveSession } = require("../services/sessions");
+const { isPersonalToken, resolvePersonalToken } = require("../services/personalTokens");
+const { hasRole } = require("../services/roles");
+require("dotenv").config();
 
-const authenticateToken = (req, res, next) => {
+// "restricted" keeps accounts with an unconfirmed email out of the app
+// until they verify; "full" (default) lets them in right away
+const UNVERIFIED_ACCOUNT_MODE = process.env.UNVERIFIED_ACCOUNT_MODE || "full";
+
+// Personal access tokens only reach routes that name a scope they carry
+const authenticatePersonalToken = async (token, scope, req, res, next) => {
+  if (!scope) {
+    return res.status(403).json({
+      error: "This endpoint needs a signed-in session; personal access tokens can't use it",
+      code: "token_not_allowed",
+    });
+  }
+
+  let row;
+  try {
+    row = await resolvePersonalToken(token, req);
+  } catch (error) {
+    console.error("Personal token check error:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+  if (!row) {
+    return res.status(401).json({ error: "Personal access token is invalid, revoked or expired", code: "invalid_token" });
+  }
+  if (row.suspended) {
+    return res.status(403).json({ error: "This account has been suspended", code: "account_suspended" });
+  }
+  if (!row.scopes.includes(scope)) {
+    return res.status(403).json({ error: `This token lacks the "${scope}" scope`, code: "insufficient_scope", scope });
+  }
+
+  req.user = {
+    id: row.user_id,
+    email: row.email,
+    username: row.username,
+    emailVerified: row.email_verified,
+    role: row.role,
+    tokenId: row.id,
+    scopes: row.scopes,
+  };
+  next();
+};
+
+// Access tokens are short-lived; clients refresh on 401 "token_expired".
+// The token's session must still be active, so logout takes effect at once.
+// scope: the personal access token scope this route accepts, if any
+const authenticate = (scope, req, res, next) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
 
   if (!token) return res.status(401).json({ error: "Access token required" });
 
-  jwt.verify(token, process.env.JWT_SECRET || "your-jwt-secret", (err, user) => {
-    if (err) return res.status(403).json({ error: "Invalid token" });
-    req.user = user;
+  if (isPersonalToken(token)) return authenticatePersonalToken(token, scope, req, res, next);
+
+  jwt.verify(token, process.env.JWT_SECRET || "your-jwt-secret", async (err, user) => {
+    if (err) {
+      if (err.name === "TokenExpiredError") {
+        return res.status(401).json({ error: "Access token expired", code: "token_expired" });
+      }
+      return res.status(403).json({ error: "Invalid token" });
+    }
+
+    // Tokens issued before sessions existed can't be revoked, so they're refused
+    if (!user.sid) {
+      return res.status(401).json({ error: "Please sign in again", code: "session_required" });
+    }
+
+    let session;
+    try {
+      session = await getActiveSession(user.sid);
+    } catch (error) {
+      console.error("Session check error:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+    if (!session) {
+      return res.status(401).json({ error: "Session has been revoked", code: "session_revoked" });
+    }
+    if (session.suspended) {
+      return res.status(403).json({ error: "This account has been suspended", code: "account_suspended" });
+    }
+
+    // The role is read per request, so promotions and demotions apply at once
+    req.user = { ...user, emailVerified: session.emailVerified, role: session.role };
     next();
   });
 };
 
-module.exports = { authenticateToken };
- 
\ No newline at end of file
+// Session tokens only
+const authenticateToken = (req, res, next) => authenticate(null, req, res, next);
+
+// Session tokens, or personal access tokens with this scope. scope may be a
+// function of the request, for routers whose routes need different scopes.
+const authenticateWithScope = (scope) => (req, res, next) =>
+  authenticate(typeof scope === "function" ? scope(req) : scope, req, res, next);
+
+// Use after authenticateToken: requireRole("moderator") lets moderators and admins through
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user?.role || !hasRole(req.user.role, role)) {
+    return res.status(403).json({ error: `${role[0].toUpperCase()}${role.slice(1)} access required`, code: "forbidden" });
+  }
+  next();
+};
+
+// Use after authenticateToken on routes unverified accounts may not reach
+const requireVerifiedEmail = (req, res, next) => {
+  if (UNVERIFIED_ACCOUNT_MODE === "restricted" && !req.user?.emailVerified) {
+    return res.status(403).json({ error: "Please verify your email address first", code: "email_unverified" });
+  }
+  next();
+};
+
+module.exports = { authenticateToken, authenticateWithScope, requireRole, requireVerifiedEmail };
@@ -0,0 +1,99 @@
+const pool = require("../config/db");
+
+// Chat handlers act on the user in the JWT. Older clients still send a
+// userId in the URL, query string or body; it must match the token.
+const matchesTokenUser = (req, userId) =>
+  userId === undefined || userId === null || userId === "" || String(userId) === String(req.user.id);
+
+const rejectForeignUserId = (req, res, next) => {
+  const claimed = [req.query.userId, req.body?.userId, req.body?.user_id];
+
+  if (!claimed.every((userId) => matchesTokenUser(req, userId))) {
+    return res.status(403).json({ error: "You can only access your own chats" });
+  }
+  next();
+};
+
+// router.param handler for :userId
+const checkUserParam = (req, res, next, userId) => {
+  if (!matchesTokenUser(req, userId)) {
+    return res.status(403).json({ error: "You can only access your own chats" });
+  }
+  next();
+};
+
+const isId = (value) => /^\d+$/.test(String(value));
+
+// Conversations and messages of other users are reported as missing, so
+// their IDs can't be probed
+const ownsConversation = async (conversationId, userId) => {
+  if (!isId(conversationId)) return false;
+
+  const result = await pool.query("SELECT 1 FROM conversations WHERE id = $1 AND user_id = $2", [
+    conversationId,
+    userId,
+  ]);
+  return result.rows.length > 0;
+};
+
+const ownsMessage = async (messageId, userId) => {
+  if (!isId(messageId)) return false;
+
+  const result = await pool.query(
+    `SELECT 1 FROM messages m
+     JOIN conversations c ON m.conversation_id = c.id
+     WHERE m.id = $1 AND c.user_id = $2`,
+    [messageId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+// router.param handler for :conversationId
+const checkConversationParam = async (req, res, next, conversationId) => {
+  try {
+    if (!(await ownsConversation(conversationId, req.user.id))) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// router.param handler for :messageId
+const checkMessageParam = async (req, res, next, messageId) => {
+  try {
+    if (!(await ownsMessage(messageId, req.user.id))) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Conversations and messages named in the request body
+const checkBodyReferences = async (req, res, next) => {
+  try {
+    const conversationId = req.body?.conversationId ?? req.body?.conversation_id;
+    if (conversationId && !(await ownsConversation(conversationId, req.user.id))) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    const messageId = req.body?.messageId;
+    if (messageId && !(await ownsMessage(messageId, req.user.id))) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  rejectForeignUserId,
+  checkUserParam,
+  checkConversationParam,
+  checkMessageParam,
+  checkBodyReferences,
+};
@@ -0,0 +1,509 @@
+// migrations/0001_initial_schema.js
+// The schema config/db.js used to create on every start. Written with IF NOT
+// EXISTS throughout, so databases set up by that code adopt it unchanged and
+// older ones gain the columns and tables they are missing.
+
+const up = async (db) => {
+  // Users table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        full_name VARCHAR(255),
+        email VARCHAR(255) UNIQUE NOT NULL,
+        username VARCHAR(255) UNIQUE,
+        password_hash VARCHAR(255),
+        google_id VARCHAR(255) UNIQUE,
+        profile_picture VARCHAR(500),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Email verification. Accounts that existed before this column are
+  // treated as verified; new rows start unverified.
+  await db.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT TRUE
+  `);
+  await db.query(`
+    ALTER TABLE users
+    ALTER COLUMN email_verified SET DEFAULT FALSE
+  `);
+
+  // New address waiting for confirmation after a profile email change
+  await db.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS pending_email VARCHAR(255)
+  `);
+
+  // Roles, suspensions and admin-forced password resets
+  await db.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'
+        CHECK (role IN ('user', 'moderator', 'admin')),
+    ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS suspended_reason TEXT,
+    ADD COLUMN IF NOT EXISTS password_reset_required BOOLEAN NOT NULL DEFAULT FALSE
+  `);
+
+  // Account deletion waits out a grace period, during which it can be undone
+  await db.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP
+  `);
+
+  // Reviews table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS reviews (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        user_name VARCHAR(255) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        text TEXT NOT NULL,
+        rating INTEGER CHECK (rating >= 1 AND rating <= 5) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Conversations table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS conversations (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        title VARCHAR(255) DEFAULT 'New Chat',
+        model_used VARCHAR(100),
+        summary TEXT,
+        message_count INTEGER DEFAULT 0,
+        is_pinned BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Rolling summary bookkeeping
+  await db.query(`
+    ALTER TABLE conversations
+    ADD COLUMN IF NOT EXISTS summary_message_count INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS summary_updated_at TIMESTAMP
+  `);
+
+  // The default model is an app setting now, not a column default
+  await db.query(`
+    ALTER TABLE conversations
+    ALTER COLUMN model_used DROP DEFAULT
+  `);
+
+  // Titles renamed by the user are never overwritten by generated ones
+  await db.query(`
+    ALTER TABLE conversations
+    ADD COLUMN IF NOT EXISTS title_locked BOOLEAN DEFAULT FALSE
+  `);
+
+  // Messages table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS messages (
+        id SERIAL PRIMARY KEY,
+        conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+        sender VARCHAR(20) CHECK (sender IN ('user', 'ai')) NOT NULL,
+        content TEXT NOT NULL,
+        model_used VARCHAR(100),
+        metadata JSONB DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Branching history: each message points at the turn it replies to,
+  // and each conversation tracks the leaf of its active branch
+  await db.query(`
+    ALTER TABLE messages
+    ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES messages(id) ON DELETE CASCADE
+  `);
+
+  await db.query(`
+    ALTER TABLE conversations
+    ADD COLUMN IF NOT EXISTS active_leaf_id INTEGER REFERENCES messages(id) ON DELETE SET NULL
+  `);
+
+  // Link legacy linear conversations into a single branch
+  await db.query(`
+    UPDATE messages m
+    SET parent_id = (
+        SELECT p.id FROM messages p
+        WHERE p.conversation_id = m.conversation_id
+          AND (p.created_at, p.id) < (m.created_at, m.id)
+        ORDER BY p.created_at DESC, p.id DESC
+        LIMIT 1
+    )
+    FROM conversations c
+    WHERE m.conversation_id = c.id
+      AND c.active_leaf_id IS NULL
+      AND m.parent_id IS NULL
+  `);
+
+  await db.query(`
+    UPDATE conversations c
+    SET active_leaf_id = (
+        SELECT m.id FROM messages m
+        WHERE m.conversation_id = c.id
+        ORDER BY m.created_at DESC, m.id DESC
+        LIMIT 1
+    )
+    WHERE c.active_leaf_id IS NULL
+  `);
+
+  // Embeddings table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS embeddings (
+        id SERIAL PRIMARY KEY,
+        message_id INTEGER UNIQUE REFERENCES messages(id) ON DELETE CASCADE,
+        embedding_vector TEXT NOT NULL,
+        model_name VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Per-user third-party AI provider keys (encrypted at rest)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        provider VARCHAR(50) NOT NULL,
+        label VARCHAR(255),
+        encrypted_key TEXT NOT NULL,
+        iv VARCHAR(32) NOT NULL,
+        auth_tag VARCHAR(32) NOT NULL,
+        key_hint VARCHAR(20),
+        base_url VARCHAR(500),
+        last_used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, provider)
+    )
+  `);
+
+  // Admin-editable application settings (e.g. the default chat model)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS app_settings (
+        key VARCHAR(100) PRIMARY KEY,
+        value TEXT,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Sign-in sessions; access tokens carry the session ID so revoking
+  // a session invalidates its tokens immediately
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        user_agent TEXT,
+        device VARCHAR(255),
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        revoked_reason VARCHAR(50)
+    )
+  `);
+
+  // Rotating refresh tokens (SHA-256 hashes only)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER REFERENCES sessions(id) ON DELETE CASCADE,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL
+    )
+  `);
+
+  // One-time codes that hand an OAuth sign-in over to the frontend
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS auth_codes (
+        code_hash CHAR(64) PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        session_id INTEGER REFERENCES sessions(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP
+    )
+  `);
+
+  // Single-use email verification and password reset tokens
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS account_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(20) NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP
+    )
+  `);
+
+  // TOTP two-factor authentication (secret encrypted like API keys)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_totp (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        encrypted_secret TEXT NOT NULL,
+        iv VARCHAR(32) NOT NULL,
+        auth_tag VARCHAR(32) NOT NULL,
+        enabled_at TIMESTAMP,
+        last_used_step BIGINT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        code_hash CHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        used_at TIMESTAMP
+    )
+  `);
+
+  // Sign-ins waiting for their second factor
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS mfa_challenges (
+        token_hash CHAR(64) PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        method VARCHAR(20) NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        completed_at TIMESTAMP
+    )
+  `);
+
+  // Sign-in providers linked to an account (users.google_id is legacy)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_identities (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        provider VARCHAR(50) NOT NULL,
+        provider_user_id VARCHAR(255) NOT NULL,
+        email VARCHAR(255),
+        display_name VARCHAR(255),
+        profile_picture VARCHAR(500),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        UNIQUE (provider, provider_user_id),
+        UNIQUE (user_id, provider)
+    )
+  `);
+  await db.query(`
+    INSERT INTO user_identities (user_id, provider, provider_user_id, email)
+    SELECT id, 'google', google_id, email FROM users WHERE google_id IS NOT NULL
+    ON CONFLICT DO NOTHING
+  `);
+
+  // Provider sign-ins whose email matched an existing account, waiting
+  // for that account's password
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS pending_identity_links (
+        token_hash CHAR(64) PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        provider VARCHAR(50) NOT NULL,
+        provider_user_id VARCHAR(255) NOT NULL,
+        email VARCHAR(255),
+        display_name VARCHAR(255),
+        profile_picture VARCHAR(500),
+        attempts INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP
+    )
+  `);
+
+  // Failed sign-in and sign-up attempts per email / IP (see services/loginThrottle.js)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS auth_attempts (
+        scope VARCHAR(20) NOT NULL,
+        key VARCHAR(255) NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_until TIMESTAMP,
+        PRIMARY KEY (scope, key)
+    )
+  `);
+
+  // Security events, appended by services/audit.js
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS audit_events (
+        id BIGSERIAL PRIMARY KEY,
+        event_type VARCHAR(100) NOT NULL,
+        actor_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ip_address VARCHAR(64),
+        user_agent TEXT,
+        target VARCHAR(255),
+        outcome VARCHAR(20) NOT NULL DEFAULT 'success',
+        metadata JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // The audit log is append-only. Deleting an account clears the events'
+  // actor_user_id (ON DELETE SET NULL); any other change is refused
+  await db.query(`
+    CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+    BEGIN
+        IF TG_OP = 'UPDATE' AND NEW.actor_user_id IS NULL
+           AND to_jsonb(NEW) - 'actor_user_id' = to_jsonb(OLD) - 'actor_user_id' THEN
+            RETURN NEW;
+        END IF;
+        RAISE EXCEPTION 'audit_events is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+  await db.query(`
+    DROP TRIGGER IF EXISTS audit_events_append_only ON audit_events;
+    CREATE TRIGGER audit_events_append_only
+    BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW EXECUTE FUNCTION audit_events_append_only()
+  `);
+
+  // Personal access tokens for scripts and integrations; only the hash is kept
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS personal_access_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        token_hint VARCHAR(8) NOT NULL,
+        scopes TEXT[] NOT NULL,
+        expires_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        last_used_ip VARCHAR(64),
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Personal data exports, built in the background as ZIP files
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS data_exports (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'processing', 'ready', 'failed')),
+        file_path VARCHAR(500),
+        file_size BIGINT,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        expires_at TIMESTAMP
+    )
+  `);
+
+  // Create indexes
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_embeddings_message
+    ON embeddings(message_id)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_messages_conversation
+    ON messages(conversation_id, created_at DESC)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_conversations_user
+    ON conversations(user_id, updated_at DESC)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_conversations_model_used
+    ON conversations(model_used)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_messages_parent
+    ON messages(parent_id)
+  `);
+
+  // Full-text search over message content (must match the expression used in queries)
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_messages_content_fts
+    ON messages USING GIN (to_tsvector('english', content))
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_messages_model_used
+    ON messages(model_used)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_sessions_user
+    ON sessions(user_id, last_seen_at DESC)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session
+    ON refresh_tokens(session_id)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_account_tokens_user
+    ON account_tokens(user_id, purpose)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_recovery_codes_user
+    ON recovery_codes(user_id)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user
+    ON personal_access_tokens(user_id)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_data_exports_user
+    ON data_exports(user_id, created_at DESC)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_audit_events_actor
+    ON audit_events(actor_user_id, created_at DESC)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_audit_events_target
+    ON audit_events(target, created_at DESC)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_audit_events_type
+    ON audit_events(event_type, created_at DESC)
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_embeddings_model_name
+    ON embeddings(model_name)
+  `);
+};
+
+// Drops every table, and with them all data
+const down = async (db) => {
+  await db.query(`
+    DROP TABLE IF EXISTS
+      data_exports, personal_access_tokens, audit_events, auth_attempts, pending_identity_links,
+      user_identities, mfa_challenges, recovery_codes, user_totp, account_tokens, auth_codes,
+      refresh_tokens, sessions, app_settings, api_keys, embeddings, messages, conversations,
+      reviews, users
+    CASCADE
+  `);
+  await db.query("DROP FUNCTION IF EXISTS audit_events_append_only()");
+};
+
+module.exports = { up, down };
@@ -0,0 +1,59 @@
+// migrations/0002_pgvector_embeddings.js
+// Native pgvector storage for message embeddings, backfilled from the JSON
+// text column. Without the extension this does nothing and search keeps
+// ranking in JS; after installing pgvector, revert back through this
+// migration and migrate up again to add the column.
+require("dotenv").config();
+
+// Dimension of the embedding model's vectors (nomic-embed-text: 768)
+const EMBEDDING_DIMENSIONS = parseInt(process.env.EMBEDDING_DIMENSIONS) || 768;
+
+const up = async (db) => {
+  // Migrations run in a transaction, so failed attempts roll back to a savepoint
+  await db.query("SAVEPOINT vector_extension");
+  try {
+    await db.query("CREATE EXTENSION IF NOT EXISTS vector");
+  } catch (err) {
+    await db.query("ROLLBACK TO SAVEPOINT vector_extension");
+    console.warn("⚠️ pgvector extension unavailable, using in-app similarity search:", err.message);
+    return;
+  }
+
+  await db.query(`
+    ALTER TABLE embeddings
+    ADD COLUMN IF NOT EXISTS embedding vector(${EMBEDDING_DIMENSIONS})
+  `);
+
+  const backfill = await db.query(`
+    UPDATE embeddings
+    SET embedding = embedding_vector::vector
+    WHERE embedding IS NULL
+      AND json_array_length(embedding_vector::json) = ${EMBEDDING_DIMENSIONS}
+  `);
+  if (backfill.rowCount > 0) {
+    console.log(`✅ Backfilled ${backfill.rowCount} embeddings into the vector column`);
+  }
+
+  // HNSW needs pgvector 0.5+; older versions get IVFFlat
+  await db.query("SAVEPOINT vector_index");
+  try {
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_embeddings_vector
+      ON embeddings USING hnsw (embedding vector_cosine_ops)
+    `);
+  } catch (err) {
+    await db.query("ROLLBACK TO SAVEPOINT vector_index");
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_embeddings_vector
+      ON embeddings USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100)
+    `);
+  }
+};
+
+// The JSON text column still holds every embedding, so nothing is lost
+const down = async (db) => {
+  await db.query("DROP INDEX IF EXISTS idx_embeddings_vector");
+  await db.query("ALTER TABLE embeddings DROP COLUMN IF EXISTS embedding");
+};
+
+module.exports = { up, down };
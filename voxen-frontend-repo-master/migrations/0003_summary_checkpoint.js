@@ -0,0 +1,17 @@
+// migrations/0003_summary_checkpoint.js
+// The rolling summary remembers the last message it covers, so it follows the
+// conversation's active branch. Summaries written before this have no
+// checkpoint and are redone from their branch on the next refresh.
+
+const up = async (db) => {
+  await db.query(`
+    ALTER TABLE conversations
+    ADD COLUMN IF NOT EXISTS summary_leaf_id INTEGER REFERENCES messages(id) ON DELETE SET NULL
+  `);
+};
+
+const down = async (db) => {
+  await db.query("ALTER TABLE conversations DROP COLUMN IF EXISTS summary_leaf_id");
+};
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+// migrations/0004_embedding_dimensions.js
+// 0002 sizes the vector column from EMBEDDING_DIMENSIONS. From here on it is
+// 768 whatever that says: columns of another size are resized and refilled
+// from the JSON copies that fit. A later change of size is a new migration
+// like this one. There is no down, since the size it replaced isn't kept.
+
+const EMBEDDING_DIMENSIONS = 768;
+
+const up = async (db) => {
+  // pgvector keeps a column's dimensions in its type modifier
+  const column = await db.query(
+    `SELECT atttypmod FROM pg_attribute
+     WHERE attrelid = 'embeddings'::regclass AND attname = 'embedding' AND NOT attisdropped`
+  );
+  // No pgvector column (0002 found no extension), or already the right size
+  if (column.rows.length === 0 || column.rows[0].atttypmod === EMBEDDING_DIMENSIONS) return;
+
+  // Vectors of the old size can't be cast; the index is rebuilt with the column
+  await db.query(`
+    ALTER TABLE embeddings
+    ALTER COLUMN embedding TYPE vector(${EMBEDDING_DIMENSIONS}) USING NULL
+  `);
+
+  const backfill = await db.query(`
+    UPDATE embeddings
+    SET embedding = embedding_vector::vector
+    WHERE json_array_length(embedding_vector::json) = ${EMBEDDING_DIMENSIONS}
+  `);
+  console.log(
+    `✅ Vector column resized from ${column.rows[0].atttypmod} to ${EMBEDDING_DIMENSIONS} dimensions, ` +
+      `${backfill.rowCount} embeddings refilled`
+  );
+};
+
+module.exports = { up };
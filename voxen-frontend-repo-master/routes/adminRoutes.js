@@ -0,0 +1,31 @@
+const express = require("express");
+const { authenticateToken, requireRole } = require("../middleware/authMiddleware");
+const {
+  listUsers,
+  getUserStats,
+  updateUserRole,
+  suspendUser,
+  reactivateUser,
+  forcePasswordReset,
+  deleteAnyReview,
+  getAuditEvents,
+} = require("../controllers/adminController");
+
+const router = express.Router();
+
+// Moderators and admins only; the routes below narrow some actions to admins
+router.use(authenticateToken, requireRole("moderator"));
+
+// Moderation
+router.get("/users", listUsers);
+router.post("/users/:id/suspend", suspendUser);
+router.post("/users/:id/reactivate", reactivateUser);
+router.delete("/reviews/:id", deleteAnyReview);
+
+// Admin only
+router.get("/users/:id", requireRole("admin"), getUserStats);
+router.put("/users/:id/role", requireRole("admin"), updateUserRole);
+router.post("/users/:id/password-reset", requireRole("admin"), forcePasswordReset);
+router.get("/audit-events", requireRole("admin"), getAuditEvents);
+
+module.exports = router;
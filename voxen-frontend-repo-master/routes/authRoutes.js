@@ -1,13 +1,81 @@
+const crypto = require("crypto");
 const express = require("express");
-const { registerUser, loginUser, logoutUser, googleCallback } = require("../controllers/authController");
-const passport = require("passport");
+const {
+  registerUser,
+  loginUser,
+  logoutUser,
+  providerCallback,
+  exchangeAuthorizationCode,
+  refreshAccessToken,
+  getSessions,
+  deleteSession,
+  logoutAllSessions,
+  verifyEmail,
+  resendVerificationEmail,
+  requestPasswordReset,
+  confirmPasswordReset,
+} = require("../controllers/authController");
+const {
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+} = require("../controllers/twoFactorController");
+const {
+  getIdentities,
+  startIdentityLink,
+  deleteIdentity,
+  confirmIdentityLink,
+} = require("../controllers/identityController");
+const { passport, getProvider, listProviders, loadStrategy } = require("../config/passport");
+const { describePasswordPolicy } = require("../services/passwordPolicy");
 const {authenticateToken} = require("../middleware/authMiddleware");
+const { recordAuditEvent } = require("../services/audit");
 
 const router = express.Router();
 
 router.post("/register", registerUser);
 router.post("/login", loginUser);
 router.post("/logout", logoutUser);
+router.post("/refresh", refreshAccessToken);
+router.post("/exchange", exchangeAuthorizationCode);
+
+// Rules new passwords must meet, for the sign-up and reset forms
+router.get("/password-policy", (req, res) => {
+  res.json(describePasswordPolicy());
+});
+
+// Sign-in providers enabled on this server, for the login page buttons
+router.get("/providers", (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// Email verification and password reset
+router.post("/verify-email", verifyEmail);
+router.post("/verify-email/resend", authenticateToken, resendVerificationEmail);
+router.post("/password-reset/request", requestPasswordReset);
+router.post("/password-reset/confirm", confirmPasswordReset);
+
+// Two-factor authentication
+router.post("/2fa/verify", verifyTwoFactorLogin);
+router.get("/2fa", authenticateToken, getTwoFactor);
+router.post("/2fa/setup", authenticateToken, setupTwoFactor);
+router.post("/2fa/enable", authenticateToken, enableTwoFactor);
+router.post("/2fa/disable", authenticateToken, disableTwoFactorAuth);
+router.post("/2fa/recovery-codes", authenticateToken, regenerateRecoveryCodes);
+
+// Linked sign-in providers
+router.get("/identities", authenticateToken, getIdentities);
+router.post("/identities/:provider/link", authenticateToken, startIdentityLink);
+router.delete("/identities/:provider", authenticateToken, deleteIdentity);
+router.post("/link/confirm", confirmIdentityLink);
+
+// Sessions (signed-in devices)
+router.get("/sessions", authenticateToken, getSessions);
+router.delete("/sessions/:sessionId", authenticateToken, deleteSession);
+router.post("/logout-all", authenticateToken, logoutAllSessions);
 
 // ✅ Protected route for profile
 router.get("/profile", authenticateToken, (req, res) => {
@@ -17,11 +85,70 @@ router.get("/profile", authenticateToken, (req, res) => {
   });
 });
 
-router.get("/google", passport.authenticate("google", { scope: ["profile", "email"] }));
+// OAuth sign-in: /google, /github, /oidc and their /callback. Unknown or
+// unconfigured providers fall through to the 404 handler.
+const authenticateWithProvider = (options) => async (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) return next();
+
+  try {
+    await loadStrategy(req.params.provider);
+  } catch (error) {
+    return res.redirect("/?error=provider_unavailable");
+  }
+
+  passport.authenticate(req.params.provider, { scope: provider.scope, ...options(req) })(req, res, next);
+};
+
+// The OAuth state is a random value kept in the browser's session, so only
+// the browser that started a sign-in can finish it. ?link=<token> (from
+// POST /identities/:provider/link) waits in the session next to it, so the
+// callback links instead of signing in.
+const startOAuthState = (req) => {
+  const state = crypto.randomBytes(32).toString("base64url");
+  req.session.oauthState = {
+    state,
+    provider: req.params.provider,
+    linkToken: typeof req.query.link === "string" ? req.query.link : null,
+  };
+  return state;
+};
+
+// Single use: whatever the callback brings, the stored state is spent
+const checkOAuthState = async (req, res, next) => {
+  if (!getProvider(req.params.provider)) return next();
+
+  const expected = req.session?.oauthState;
+  if (req.session) delete req.session.oauthState;
+
+  const received = Buffer.from(typeof req.query.state === "string" ? req.query.state : "");
+  const matches =
+    expected?.provider === req.params.provider &&
+    received.length === Buffer.byteLength(expected.state) &&
+    crypto.timingSafeEqual(received, Buffer.from(expected.state));
+
+  if (!matches) {
+    await recordAuditEvent("auth.oauth_callback", {
+      req,
+      outcome: "failure",
+      metadata: { provider: req.params.provider, reason: "state_mismatch" },
+    });
+    return res.redirect("/?error=provider_auth_failed");
+  }
+
+  req.oauthLinkToken = expected.linkToken;
+  next();
+};
+
+router.get(
+  "/:provider",
+  authenticateWithProvider((req) => ({ state: startOAuthState(req) }))
+);
 router.get(
-  "/google/callback",
-  passport.authenticate("google", { failureRedirect: "/?error=google_auth_failed" }),
-  googleCallback
+  "/:provider/callback",
+  checkOAuthState,
+  authenticateWithProvider(() => ({ session: false, failureRedirect: "/?error=provider_auth_failed" })),
+  providerCallback
 );
 
 module.exports = router;
@@ -3,16 +3,34 @@ const express = require("express");
 const router = express.Router();
 
 const chatController = require("../controllers/chatController");
+const { getModels, updateDefaultModel } = require("../controllers/modelController");
+const { authenticateWithScope, requireRole, requireVerifiedEmail } = require("../middleware/authMiddleware");
+const {
+  rejectForeignUserId,
+  checkUserParam,
+  checkConversationParam,
+  checkMessageParam,
+  checkBodyReferences
+} = require("../middleware/chatAuthorization");
 
 const { 
   getChatResponse, 
+  streamChatResponse,
+  cancelChatStream,
   getConversations, 
   getMessages, 
+  editMessage,
+  regenerateResponse,
+  getMessageBranches,
+  switchBranch,
   createConversation, 
   deleteConversation,
   updateConversationTitle,
+  regenerateConversationTitle,
   updateConversationModel,
   togglePinConversation,
+  getConversationSummary,
+  regenerateConversationSummary,
   searchMessages,
   getConversationStats,
   saveChatMessages,
@@ -21,25 +39,59 @@ const {
   getEmbeddingStats            // ✅ NEW
 } = chatController;
 
+// ============================================
+// AUTHORIZATION
+// ============================================
+
+// Personal access tokens need "search" to search, "chat:read" to read and
+// "chat:write" for everything else; app settings need a session
+const chatScope = (req) => {
+  if (req.path === "/models/default") return null;
+  if (req.path === "/search") return "search";
+  return req.method === "GET" || req.method === "HEAD" ? "chat:read" : "chat:write";
+};
+
+// Every chat endpoint acts on the user in the JWT; IDs in the URL or body
+// must belong to that user
+router.use(authenticateWithScope(chatScope), requireVerifiedEmail, rejectForeignUserId, checkBodyReferences);
+router.param("userId", checkUserParam);
+router.param("conversationId", checkConversationParam);
+router.param("messageId", checkMessageParam);
+
 // ============================================
 // CHAT ENDPOINTS
 // ============================================
 
 router.post("/", getChatResponse);
+router.post("/stream", streamChatResponse);
+router.post("/stream/:streamId/cancel", cancelChatStream);
 router.post("/save", saveChatMessages);
 router.post("/search", searchMessages);
 
+// ============================================
+// MODEL ENDPOINTS
+// ============================================
+
+router.get("/models", getModels);
+router.put("/models/default", requireRole("admin"), updateDefaultModel);
+
 // ============================================
 // CONVERSATION ENDPOINTS
 // ============================================
 
+router.get("/conversations", getConversations);
 router.get("/conversations/:userId", getConversations);
 router.post("/conversations", createConversation);
 router.delete("/conversations/:conversationId", deleteConversation);
 router.patch("/conversations/:conversationId/title", updateConversationTitle);
+router.post("/conversations/:conversationId/title/regenerate", regenerateConversationTitle);
 router.patch("/conversations/:conversationId/pin", togglePinConversation);
 router.patch("/conversations/:conversationId/model", updateConversationModel);
+router.post("/conversations/:conversationId/branch", switchBranch);
+router.get("/conversations/:conversationId/summary", getConversationSummary);
+router.post("/conversations/:conversationId/summary", regenerateConversationSummary);
 
+router.get("/stats", getConversationStats);
 router.get("/stats/:userId", getConversationStats);
 
 // ============================================
@@ -47,15 +99,20 @@ router.get("/stats/:userId", getConversationStats);
 // ============================================
 
 router.get("/messages/:conversationId", getMessages);
+router.post("/messages/:messageId/edit", editMessage);
+router.post("/messages/:messageId/regenerate", regenerateResponse);
+router.get("/messages/:messageId/branches", getMessageBranches);
 
 // ============================================
 // EMBEDDING ENDPOINTS (NEW)
 // ============================================
 
 // Generate embeddings for messages without them
+router.post("/embeddings/generate", generateMissingEmbeddings);
 router.post("/embeddings/generate/:userId", generateMissingEmbeddings);
 
 // Get embedding statistics for a user
+router.get("/embeddings/stats", getEmbeddingStats);
 router.get("/embeddings/stats/:userId", getEmbeddingStats);
 
 // ============================================
@@ -6,11 +6,13 @@ const userRoutes = require("./userRoutes");
 const authRoutes = require("./authRoutes");
 const chatRoutes = require("./chatRoutes");
 const reviewRoutes = require("./reviewRoutes");
+const adminRoutes = require("./adminRoutes");
 
 // Use them with prefixes
 router.use("/user", userRoutes);
 router.use("/auth", authRoutes);
 router.use("/chat", chatRoutes);
 router.use("/reviews", reviewRoutes);
+router.use("/admin", adminRoutes);
 
 module.exports = router;
@@ -1,12 +1,12 @@
 const express = require("express");
-const { authenticateToken } = require("../middleware/authMiddleware");
+const { authenticateWithScope, requireVerifiedEmail } = require("../middleware/authMiddleware");
 const { getReviews, createReview, updateReview, deleteReview } = require("../controllers/reviewController");
 
 const router = express.Router();
 
 router.get("/", getReviews);
-router.post("/", authenticateToken, createReview);
-router.put("/:id", authenticateToken, updateReview);
-router.delete("/:id", authenticateToken, deleteReview);
+router.post("/", authenticateWithScope("reviews"), requireVerifiedEmail, createReview);
+router.put("/:id", authenticateWithScope("reviews"), requireVerifiedEmail, updateReview);
+router.delete("/:id", authenticateWithScope("reviews"), deleteReview);
 
 module.exports = router;
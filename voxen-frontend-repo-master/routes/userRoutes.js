@@ -1,8 +1,25 @@
 const express = require("express");
 const multer = require("multer");
 const path = require("path");
-const { authenticateToken } = require("../middleware/authMiddleware");
-const { getProfile, uploadProfilePicture, deleteProfilePicture } = require("../controllers/userController");
+const { authenticateToken, requireVerifiedEmail } = require("../middleware/authMiddleware");
+const {
+  getProfile,
+  updateProfile,
+  confirmEmailChange,
+  changePassword,
+  uploadProfilePicture,
+  deleteProfilePicture,
+  getSecurityEvents,
+} = require("../controllers/userController");
+const { getApiKeys, addApiKey, rotateApiKey, testApiKey, deleteApiKey } = require("../controllers/apiKeyController");
+const { getPersonalTokens, addPersonalToken, deletePersonalToken } = require("../controllers/personalTokenController");
+const {
+  getDataExports,
+  createDataExport,
+  downloadDataExport,
+  requestAccountDeletion,
+  cancelAccountDeletionRequest,
+} = require("../controllers/accountController");
 
 const router = express.Router();
 
@@ -41,7 +58,32 @@ router.use((req, res, next) => {
 });
 
 router.get("/profile", authenticateToken, getProfile);
+router.patch("/profile", authenticateToken, updateProfile);
+router.put("/password", authenticateToken, changePassword);
+// Opened from the emailed link, possibly on another device, so no sign-in needed
+router.post("/email/confirm", confirmEmailChange);
 router.post("/profile/picture", authenticateToken, upload.single("profilePicture"), uploadProfilePicture);
 router.delete("/profile/picture", authenticateToken, deleteProfilePicture);
+// Sign-ins, security changes and deletions on this account
+router.get("/security-events", authenticateToken, getSecurityEvents);
+
+// AI provider key vault
+router.get("/api-keys", authenticateToken, requireVerifiedEmail, getApiKeys);
+router.post("/api-keys", authenticateToken, requireVerifiedEmail, addApiKey);
+router.put("/api-keys/:provider", authenticateToken, requireVerifiedEmail, rotateApiKey);
+router.post("/api-keys/:provider/test", authenticateToken, requireVerifiedEmail, testApiKey);
+router.delete("/api-keys/:provider", authenticateToken, requireVerifiedEmail, deleteApiKey);
+
+// Personal access tokens for the Voxen API (managed from a signed-in session only)
+router.get("/tokens", authenticateToken, getPersonalTokens);
+router.post("/tokens", authenticateToken, requireVerifiedEmail, addPersonalToken);
+router.delete("/tokens/:tokenId", authenticateToken, deletePersonalToken);
+
+// Personal data export (ZIP) and account deletion
+router.get("/export", authenticateToken, getDataExports);
+router.post("/export", authenticateToken, createDataExport);
+router.get("/export/:exportId/download", authenticateToken, downloadDataExport);
+router.post("/deletion", authenticateToken, requestAccountDeletion);
+router.delete("/deletion", authenticateToken, cancelAccountDeletionRequest);
 
 module.exports = router;
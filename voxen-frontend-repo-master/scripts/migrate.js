@@ -0,0 +1,81 @@
+// scripts/migrate.js
+// Database migrations:
+//   npm run migrate -- status          list migrations and whether they have run
+//   npm run migrate -- up [version]    apply pending migrations (up to version)
+//   npm run migrate -- down [steps]    revert the last migration (or the last steps)
+//   npm run migrate -- create <name>   start a new migration file
+const pool = require("../config/db");
+const {
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  createMigration,
+} = require("../services/migrations");
+
+const USAGE = "Usage: npm run migrate -- <status | up [version] | down [steps] | create <name>>";
+
+const STATE_LABELS = {
+  applied: "✅ applied ",
+  pending: "⏳ pending ",
+  modified: "⚠️ modified",
+  missing: "❓ missing ",
+};
+
+const commands = {
+  status: async () => {
+    const status = await getMigrationStatus();
+    if (status.length === 0) console.log("No migrations yet");
+    for (const migration of status) {
+      const appliedAt = migration.appliedAt ? `  ${migration.appliedAt.toISOString()}` : "";
+      console.log(`${STATE_LABELS[migration.state]}  ${migration.version}_${migration.name}${appliedAt}`);
+    }
+    return status.some((migration) => migration.state === "modified") ? 1 : 0;
+  },
+
+  up: async (to) => {
+    if (to !== undefined && !/^\d{4}$/.test(to)) {
+      console.error("Version must have four digits, e.g. 0003");
+      return 1;
+    }
+    const applied = await migrateUp({ to });
+    console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : "✅ Database is up to date");
+    return 0;
+  },
+
+  down: async (steps = "1") => {
+    const count = parseInt(steps);
+    if (!Number.isInteger(count) || count < 1) {
+      console.error("Steps must be a positive number");
+      return 1;
+    }
+    const reverted = await migrateDown({ steps: count });
+    console.log(reverted.length > 0 ? `✅ Reverted ${reverted.length} migration(s)` : "Nothing to revert");
+    return 0;
+  },
+
+  create: async (...words) => {
+    const file = createMigration(words.join(" "));
+    console.log(`✅ Created ${file}`);
+    return 0;
+  },
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!Object.hasOwn(commands, command || "")) {
+    console.error(USAGE);
+    return 1;
+  }
+  return commands[command](...args);
+};
+
+main()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error.message);
+    return 1;
+  })
+  .then(async (exitCode) => {
+    await pool.end();
+    process.exitCode = exitCode;
+  });
@@ -0,0 +1,41 @@
+// scripts/set-role.js
+// Give an existing account a role, e.g. to bootstrap the first admin:
+//   npm run set-role -- admin@example.com admin
+const pool = require("../config/db");
+const { recordAuditEvent } = require("../services/audit");
+const { ROLES, isRole } = require("../services/roles");
+
+const main = async () => {
+  const [email, role = "admin"] = process.argv.slice(2);
+
+  if (!email || !isRole(role)) {
+    console.error(`Usage: npm run set-role -- <email> [${ROLES.join("|")}] (default: admin)`);
+    return 1;
+  }
+
+  const result = await pool.query("SELECT id, email, role FROM users WHERE LOWER(email) = LOWER($1)", [email]);
+  if (result.rows.length === 0) {
+    console.error(`❌ No account with email ${email}. Sign up first, then run this again.`);
+    return 1;
+  }
+
+  const user = result.rows[0];
+  await pool.query("UPDATE users SET role = $1, updated_at = NOW() WHERE id = $2", [role, user.id]);
+
+  await recordAuditEvent("admin.role_changed", {
+    target: `user:${user.id}`,
+    metadata: { from: user.role, to: role, via: "cli" },
+  });
+  console.log(`✅ ${user.email} is now ${role} (was ${user.role})`);
+  return 0;
+};
+
+main()
+  .catch((error) => {
+    console.error("❌ Could not set role:", error.message);
+    return 1;
+  })
+  .then(async (exitCode) => {
+    await pool.end();
+    process.exitCode = exitCode;
+  });
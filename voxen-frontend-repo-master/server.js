@@ -9,7 +9,10 @@ require("dotenv").config();
 // Custom middleware and config
 const { notFound, errorHandler } = require("./middleware/errorMiddleware");
 require("./config/db");          // Database connection
-require("./config/passport");    // Passport configuration
+const { listProviders } = require("./config/passport"); // Passport configuration
+const { startAccountDeletionSweeper } = require("./services/accountDeletion");
+const { failInterruptedExports } = require("./services/dataExport");
+const { assertSchemaCurrent } = require("./services/migrations");
 
 // Route imports
 const apiRoutes = require("./routes/index");   // All /api routes
@@ -71,15 +74,36 @@ app.use(errorHandler);
 // 🌍 Start the server
 // ---------------------
 const PORT = process.env.PORT || 5500;
-app.listen(PORT, () => {
+
+const startServer = () => app.listen(PORT, () => {
   console.log(`✅ Server running on http://localhost:${PORT}`);
   console.log(`API routes at: http://localhost:${PORT}/api`);
   console.log(`\n📝 Environment Check:`);
-  console.log(`   - GOOGLE_CLIENT_ID: ${process.env.GOOGLE_CLIENT_ID ? '✅' : '❌ MISSING'}`);
-  console.log(`   - GOOGLE_CLIENT_SECRET: ${process.env.GOOGLE_CLIENT_SECRET ? '✅' : '❌ MISSING'}`);
   console.log(`   - JWT_SECRET: ${process.env.JWT_SECRET ? '✅' : '❌ MISSING'}`);
   console.log(`   - SESSION_SECRET: ${process.env.SESSION_SECRET ? '✅' : '❌ MISSING'}`);
   console.log(`   - DB_NAME: ${process.env.DB_NAME || 'astro_auth'}`);
-  console.log(`\n🔗 OAuth Callback URL: http://localhost:${PORT}/api/auth/google/callback`);
-  console.log(`   Make sure this matches in Google Console!\n`);
-});
\ No newline at end of file
+  const providers = listProviders();
+  console.log(`   - Sign-in providers: ${providers.map((provider) => provider.name).join(", ") || "none (password only)"}`);
+  providers.forEach(({ id, name }) => {
+    console.log(`\n🔗 ${name} Callback URL: http://localhost:${PORT}/api/auth/${id}/callback`);
+  });
+  if (providers.length > 0) console.log(`   Make sure these match in each provider's console!\n`);
+
+  // Accounts whose deletion grace period has ended are removed hourly
+  startAccountDeletionSweeper();
+  failInterruptedExports();
+});
+
+// Schema changes only happen through `npm run migrate`; a database that is
+// behind the code stops the server instead of failing request by request.
+// Required instead of run (as the tests do), it only exports the app.
+if (require.main === module) {
+  assertSchemaCurrent()
+    .then(startServer)
+    .catch((error) => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = app;
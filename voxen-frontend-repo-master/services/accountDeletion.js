@@ -0,0 +1,97 @@
+// services/accountDeletion.js
+const pool = require("../config/db");
+const { sendMail } = require("./mail");
+const { recordAuditEvent } = require("./audit");
+const { profilePictureFile, removeFile, listExportFiles } = require("./dataExport");
+require("dotenv").config();
+
+// Days between a deletion request and the account actually being removed
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Returns when the account will be deleted, or null if a deletion was already scheduled
+const scheduleAccountDeletion = async (userId) => {
+  const result = await pool.query(
+    `UPDATE users
+     SET deletion_requested_at = NOW(), deletion_scheduled_for = NOW() + make_interval(days => $2)
+     WHERE id = $1 AND deletion_scheduled_for IS NULL
+     RETURNING email, full_name, username, deletion_scheduled_for`,
+    [userId, GRACE_DAYS]
+  );
+  if (result.rows.length === 0) return null;
+
+  const user = result.rows[0];
+  sendMail({
+    to: user.email,
+    subject: "Your Voxen account will be deleted",
+    text:
+      `Hi ${user.full_name || user.username},\n\n` +
+      `Your Voxen account and everything in it will be deleted on ${user.deletion_scheduled_for.toUTCString()}.\n\n` +
+      `Changed your mind? Sign in and choose "Keep my account" in your profile before then.`,
+  }).catch((error) => console.error("❌ Deletion notice email failed:", error.message));
+
+  return user.deletion_scheduled_for;
+};
+
+const cancelAccountDeletion = async (userId) => {
+  const result = await pool.query(
+    `UPDATE users SET deletion_requested_at = NULL, deletion_scheduled_for = NULL
+     WHERE id = $1 AND deletion_scheduled_for IS NOT NULL
+     RETURNING id`,
+    [userId]
+  );
+  return result.rows.length > 0;
+};
+
+// Remove the account row (the schema cascades to everything it owns), then
+// its files on disk. Returns false if the deletion was cancelled meanwhile.
+const deleteAccount = async (userId) => {
+  const userResult = await pool.query("SELECT profile_picture FROM users WHERE id = $1", [userId]);
+  if (userResult.rows.length === 0) return false;
+
+  const files = [profilePictureFile(userResult.rows[0].profile_picture), ...(await listExportFiles(userId))];
+
+  // Still due when the row goes: "Keep my account" may have come after the sweep's query
+  const deleted = await pool.query(
+    "DELETE FROM users WHERE id = $1 AND deletion_scheduled_for IS NOT NULL AND deletion_scheduled_for <= NOW()",
+    [userId]
+  );
+  if (deleted.rowCount === 0) {
+    console.log(`⏭️ Account ${userId} is no longer due for deletion`);
+    return false;
+  }
+  await Promise.all(files.map(removeFile));
+
+  await recordAuditEvent("account.deleted", { target: `user:${userId}`, metadata: { filesRemoved: files.filter(Boolean).length } });
+  console.log(`🗑️ Account ${userId} deleted after its grace period`);
+  return true;
+};
+
+// Delete every account whose grace period is over
+const purgeDueAccounts = async () => {
+  const due = await pool.query("SELECT id FROM users WHERE deletion_scheduled_for <= NOW()");
+  let deleted = 0;
+  for (const { id } of due.rows) {
+    try {
+      if (await deleteAccount(id)) deleted++;
+    } catch (error) {
+      console.error(`❌ Could not delete account ${id}:`, error.message);
+    }
+  }
+  return deleted;
+};
+
+// Called once by the server: purge now, then hourly
+const startAccountDeletionSweeper = () => {
+  const sweep = () => purgeDueAccounts().catch((error) => console.error("❌ Account deletion sweep failed:", error.message));
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  GRACE_DAYS,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeDueAccounts,
+  startAccountDeletionSweeper,
+};
@@ -0,0 +1,112 @@
+// services/accountTokens.js
+const crypto = require("crypto");
+const pool = require("../config/db");
+const { sendMail } = require("./mail");
+require("dotenv").config();
+
+const APP_URL = (process.env.APP_URL || "http://localhost:5500").replace(/\/$/, "");
+
+// Lifetimes of the links sent by email, and of other single-use tokens
+const TOKEN_TTL_MINUTES = {
+  verify_email: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60,
+  reset_password: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  change_email: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60,
+  // Carried through an OAuth round trip when a signed-in user links a provider
+  link_identity: 10,
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// New single-use token; earlier unused ones for the same purpose stop working
+const createAccountToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await pool.query(
+    `UPDATE account_tokens SET used_at = NOW()
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+  await pool.query(
+    `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+    [userId, purpose, hashToken(token), TOKEN_TTL_MINUTES[purpose]]
+  );
+  return token;
+};
+
+// Mark the token used and return its user ID, or null if it is unknown,
+// expired or already used
+const consumeAccountToken = async (token, purpose, db = pool) => {
+  const result = await db.query(
+    `UPDATE account_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await createAccountToken(user.id, "verify_email");
+  const link = `${APP_URL}/?verifyEmail=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Confirm your Voxen email address",
+    text:
+      `Hi ${user.full_name || user.username},\n\n` +
+      `Confirm your email address by opening this link:\n${link}\n\n` +
+      `The link expires in ${TOKEN_TTL_MINUTES.verify_email / 60} hours. ` +
+      `If you didn't create a Voxen account, you can ignore this email.`,
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createAccountToken(user.id, "reset_password");
+  const link = `${APP_URL}/?resetPassword=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your Voxen password",
+    text:
+      `Hi ${user.full_name || user.username},\n\n` +
+      `Choose a new password by opening this link:\n${link}\n\n` +
+      `The link expires in ${TOKEN_TTL_MINUTES.reset_password} minutes and works once. ` +
+      `If you didn't ask for a password reset, you can ignore this email.`,
+  });
+};
+
+// The link goes to the new address; the old one is told about the change
+const sendEmailChangeConfirmation = async (user, newEmail) => {
+  const token = await createAccountToken(user.id, "change_email");
+  const link = `${APP_URL}/?confirmEmail=${token}`;
+  const name = user.full_name || user.username;
+
+  await sendMail({
+    to: newEmail,
+    subject: "Confirm your new Voxen email address",
+    text:
+      `Hi ${name},\n\n` +
+      `Confirm ${newEmail} as your Voxen email address by opening this link:\n${link}\n\n` +
+      `The link expires in ${TOKEN_TTL_MINUTES.change_email / 60} hours. ` +
+      `Until then you keep signing in with ${user.email}.`,
+  });
+
+  return sendMail({
+    to: user.email,
+    subject: "Your Voxen email address is being changed",
+    text:
+      `Hi ${name},\n\n` +
+      `Someone signed in to your account asked to change its email address to ${newEmail}. ` +
+      `It changes once the new address is confirmed.\n\n` +
+      `If this wasn't you, change your password and sign out your other sessions.`,
+  });
+};
+
+module.exports = {
+  createAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeConfirmation,
+};
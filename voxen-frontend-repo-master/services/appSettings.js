@@ -0,0 +1,19 @@
+// services/appSettings.js
+const pool = require("../config/db");
+
+const getSetting = async (key) => {
+  const result = await pool.query("SELECT value FROM app_settings WHERE key = $1", [key]);
+  return result.rows.length ? result.rows[0].value : null;
+};
+
+const setSetting = async (key, value, updatedBy = null) => {
+  await pool.query(
+    `INSERT INTO app_settings (key, value, updated_by, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (key)
+     DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+    [key, value, updatedBy]
+  );
+};
+
+module.exports = { getSetting, setSetting };
@@ -0,0 +1,129 @@
+// services/audit.js
+const pool = require("../config/db");
+
+const OUTCOMES = ["success", "failure", "denied", "locked"];
+const MAX_USER_AGENT_LENGTH = 500;
+
+const auditError = (message, status, code) => Object.assign(new Error(message), { status, code });
+
+// Append a security event. Recording never fails the request it describes.
+//   actorUserId  who did it, when known
+//   target       what it was done to, e.g. an email address or "user:42"
+//   outcome      one of OUTCOMES
+// Requests made with a personal access token also note which token it was.
+const recordAuditEvent = async (
+  eventType,
+  { req, actorUserId = null, target = null, outcome = "success", metadata = {} } = {}
+) => {
+  try {
+    await pool.query(
+      `INSERT INTO audit_events (event_type, actor_user_id, ip_address, user_agent, target, outcome, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        eventType,
+        actorUserId,
+        req?.ip || null,
+        req?.get("user-agent")?.substring(0, MAX_USER_AGENT_LENGTH) || null,
+        target === null ? null : String(target).substring(0, 255),
+        outcome,
+        req?.user?.tokenId ? { ...metadata, personalTokenId: req.user.tokenId } : metadata,
+      ]
+    );
+  } catch (error) {
+    console.error(`❌ Could not record audit event ${eventType}:`, error.message);
+  }
+};
+
+// Turn query-string filters into SQL conditions. `type` matches one event
+// type, or a family with a trailing ".*" (e.g. "auth.*").
+const buildFilters = ({ type, outcome, actorUserId, target, ip, from, to }, params) => {
+  const conditions = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace("?", `$${params.length}`));
+  };
+
+  if (type) {
+    const family = String(type).endsWith(".*");
+    add(family ? "e.event_type LIKE ?" : "e.event_type = ?", family ? `${String(type).slice(0, -1)}%` : String(type));
+  }
+  if (outcome) {
+    if (!OUTCOMES.includes(outcome)) {
+      throw auditError(`Outcome must be one of: ${OUTCOMES.join(", ")}`, 400, "invalid_filter");
+    }
+    add("e.outcome = ?", outcome);
+  }
+  if (actorUserId !== undefined) {
+    const id = parseInt(actorUserId);
+    if (!Number.isInteger(id)) throw auditError("actorUserId must be a number", 400, "invalid_filter");
+    add("e.actor_user_id = ?", id);
+  }
+  if (target) add("e.target = ?", String(target));
+  if (ip) add("e.ip_address = ?", String(ip));
+  for (const [name, value, sql] of [["from", from, "e.created_at >= ?"], ["to", to, "e.created_at < ?"]]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw auditError(`${name} must be a date`, 400, "invalid_filter");
+    add(sql, date);
+  }
+  return conditions;
+};
+
+const paginate = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || 50, 1), 100),
+});
+
+// Events about one account: what it did, and what was done to it (failed
+// sign-ins, admin actions). Where someone else acted, their IP and browser
+// are left out.
+const listUserAuditEvents = async (userId, query = {}) => {
+  const { page, limit } = paginate(query);
+  const params = [userId, `user:${userId}`];
+  const conditions = [
+    "(e.actor_user_id = $1 OR e.target = $2)",
+    ...buildFilters({ type: query.type, outcome: query.outcome, from: query.from, to: query.to }, params),
+  ];
+  const where = `WHERE ${conditions.join(" AND ")}`;
+
+  const events = await pool.query(
+    `SELECT e.id, e.event_type, e.outcome, e.target, e.metadata, e.created_at,
+            COALESCE(e.actor_user_id = $1, FALSE) AS by_you,
+            CASE WHEN e.actor_user_id IS NULL OR e.actor_user_id = $1 THEN e.ip_address END AS ip_address,
+            CASE WHEN e.actor_user_id IS NULL OR e.actor_user_id = $1 THEN e.user_agent END AS user_agent
+     FROM audit_events e
+     ${where}
+     ORDER BY e.created_at DESC, e.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+  const count = await pool.query(`SELECT COUNT(*) FROM audit_events e ${where}`, params);
+  const total = parseInt(count.rows[0].count);
+
+  return { events: events.rows, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+};
+
+// Every event, for admins
+const listAuditEvents = async (query = {}) => {
+  const { page, limit } = paginate(query);
+  const params = [];
+  const conditions = buildFilters(query, params);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const events = await pool.query(
+    `SELECT e.id, e.event_type, e.outcome, e.actor_user_id, u.email AS actor_email, e.ip_address,
+            e.user_agent, e.target, e.metadata, e.created_at
+     FROM audit_events e
+     LEFT JOIN users u ON e.actor_user_id = u.id
+     ${where}
+     ORDER BY e.created_at DESC, e.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+  const count = await pool.query(`SELECT COUNT(*) FROM audit_events e ${where}`, params);
+  const total = parseInt(count.rows[0].count);
+
+  return { events: events.rows, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+};
+
+module.exports = { OUTCOMES, recordAuditEvent, listUserAuditEvents, listAuditEvents };
@@ -0,0 +1,240 @@
+// services/dataExport.js
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const archiver = require("archiver");
+const pool = require("../config/db");
+const { listIdentities } = require("./identities");
+const { listKeys } = require("./keyVault");
+const { listPersonalTokens } = require("./personalTokens");
+const { listSessions } = require("./sessions");
+const { isTwoFactorEnabled } = require("./twoFactor");
+require("dotenv").config();
+
+const EXPORT_DIR = path.resolve(process.env.EXPORT_DIR || "exports");
+// Finished archives can be downloaded for this long, then they are deleted
+const EXPORT_TTL_HOURS = parseInt(process.env.EXPORT_TTL_HOURS) || 24;
+
+const PROFILE_PICTURE_URL_PREFIX = "/uploads/profile-pictures/";
+const PROFILE_PICTURE_DIR = path.join(__dirname, "..", "uploads", "profile-pictures");
+
+const EXPORT_COLUMNS = "id, status, file_size, error, created_at, completed_at, expires_at";
+
+const exportError = (message, status, code) => Object.assign(new Error(message), { status, code });
+
+// The file behind an uploaded profile picture, or null for remote pictures
+// (e.g. a provider's avatar URL)
+const profilePictureFile = (picture) => {
+  if (typeof picture !== "string" || !picture.startsWith(PROFILE_PICTURE_URL_PREFIX)) return null;
+  return path.join(PROFILE_PICTURE_DIR, path.basename(picture));
+};
+
+const removeFile = async (file) => {
+  if (!file) return;
+  await fs.promises.unlink(file).catch((error) => {
+    if (error.code !== "ENOENT") console.error(`❌ Could not delete ${file}:`, error.message);
+  });
+};
+
+const slugify = (text) =>
+  String(text || "conversation")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .substring(0, 50) || "conversation";
+
+const conversationMarkdown = (conversation, messages) => {
+  const lines = [
+    `# ${conversation.title}`,
+    "",
+    `- Started: ${new Date(conversation.created_at).toISOString()}`,
+    `- Model: ${conversation.model_used || "default"}`,
+  ];
+  if (conversation.summary) lines.push("", `> ${conversation.summary.replace(/\n/g, "\n> ")}`);
+
+  for (const message of messages) {
+    const author = message.sender === "user" ? "You" : `Assistant${message.model_used ? ` (${message.model_used})` : ""}`;
+    lines.push("", `## ${author} · ${new Date(message.created_at).toISOString()}`, "", message.content);
+  }
+  return `${lines.join("\n")}\n`;
+};
+
+// Everything the account holds, written into the archive
+const writeArchive = async (archive, userId) => {
+  const userResult = await pool.query(
+    `SELECT id, full_name, email, username, role, profile_picture, email_verified, pending_email,
+            password_hash IS NOT NULL AS has_password, created_at, updated_at
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  const user = userResult.rows[0];
+  if (!user) throw new Error("User no longer exists");
+
+  const profile = {
+    exportedAt: new Date().toISOString(),
+    profile: user,
+    twoFactorEnabled: await isTwoFactorEnabled(userId),
+    linkedAccounts: await listIdentities(userId),
+    // Hints only; saved keys are never exported
+    aiProviderKeys: await listKeys(userId),
+    personalAccessTokens: await listPersonalTokens(userId),
+    activeSessions: await listSessions(userId),
+  };
+  archive.append(JSON.stringify(profile, null, 2), { name: "profile.json" });
+
+  const reviews = await pool.query(
+    "SELECT id, title, text, rating, created_at, updated_at FROM reviews WHERE user_id = $1 ORDER BY created_at",
+    [userId]
+  );
+  archive.append(JSON.stringify(reviews.rows, null, 2), { name: "reviews.json" });
+
+  const conversations = await pool.query(
+    `SELECT id, title, model_used, summary, is_pinned, active_leaf_id, created_at, updated_at
+     FROM conversations WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+  for (const conversation of conversations.rows) {
+    const messages = await pool.query(
+      `SELECT id, parent_id, sender, content, model_used, metadata, created_at
+       FROM messages WHERE conversation_id = $1 ORDER BY created_at, id`,
+      [conversation.id]
+    );
+    const name = `conversations/${conversation.id}-${slugify(conversation.title)}`;
+    archive.append(JSON.stringify({ ...conversation, messages: messages.rows }, null, 2), { name: `${name}.json` });
+    archive.append(conversationMarkdown(conversation, messages.rows), { name: `${name}.md` });
+  }
+
+  const picture = profilePictureFile(user.profile_picture);
+  if (picture && fs.existsSync(picture)) {
+    archive.file(picture, { name: `profile-pictures/${path.basename(picture)}` });
+  }
+
+  archive.append(
+    "Your Voxen data\n\n" +
+      "profile.json       account details, linked sign-in providers, sessions and token/key metadata\n" +
+      "reviews.json       your reviews\n" +
+      "conversations/     each conversation as JSON (every message, with parent_id for edits and\n" +
+      "                   regenerated replies) and as Markdown\n" +
+      "profile-pictures/  your uploaded profile picture, if any\n",
+    { name: "README.txt" }
+  );
+};
+
+const buildExport = async (exportId, userId) => {
+  const file = path.join(EXPORT_DIR, `export-${exportId}-${crypto.randomBytes(8).toString("hex")}.zip`);
+
+  try {
+    await pool.query("UPDATE data_exports SET status = 'processing' WHERE id = $1", [exportId]);
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+
+    const output = fs.createWriteStream(file);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    const written = new Promise((resolve, reject) => {
+      output.on("close", resolve);
+      output.on("error", reject);
+      archive.on("error", reject);
+    });
+    archive.pipe(output);
+
+    await writeArchive(archive, userId);
+    await archive.finalize();
+    await written;
+
+    const { size } = await fs.promises.stat(file);
+    await pool.query(
+      `UPDATE data_exports
+       SET status = 'ready', file_path = $2, file_size = $3, completed_at = NOW(),
+           expires_at = NOW() + make_interval(hours => $4)
+       WHERE id = $1`,
+      [exportId, file, size, EXPORT_TTL_HOURS]
+    );
+    console.log(`📦 Data export ${exportId} ready for user ${userId} (${size} bytes)`);
+  } catch (error) {
+    console.error(`❌ Data export ${exportId} failed:`, error);
+    await removeFile(file);
+    await pool
+      .query("UPDATE data_exports SET status = 'failed', error = $2, completed_at = NOW() WHERE id = $1", [
+        exportId,
+        "The export could not be built. Please try again",
+      ])
+      .catch(() => {});
+  }
+};
+
+// Expired archives are deleted whenever someone asks for a new export
+const pruneExpiredExports = async () => {
+  const expired = await pool.query(
+    "DELETE FROM data_exports WHERE expires_at < NOW() RETURNING file_path"
+  );
+  await Promise.all(expired.rows.map((row) => removeFile(row.file_path)));
+};
+
+const listExports = async (userId) => {
+  const result = await pool.query(
+    `SELECT ${EXPORT_COLUMNS} FROM data_exports
+     WHERE user_id = $1 AND (expires_at IS NULL OR expires_at > NOW())
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// Queue an export; the archive is built after this returns
+const requestExport = async (userId) => {
+  await pruneExpiredExports();
+
+  const running = await pool.query(
+    "SELECT 1 FROM data_exports WHERE user_id = $1 AND status IN ('pending', 'processing')",
+    [userId]
+  );
+  if (running.rows.length > 0) {
+    throw exportError("An export is already being prepared", 409, "export_in_progress");
+  }
+
+  const result = await pool.query(
+    `INSERT INTO data_exports (user_id) VALUES ($1) RETURNING ${EXPORT_COLUMNS}`,
+    [userId]
+  );
+  const queued = result.rows[0];
+
+  setImmediate(() => buildExport(queued.id, userId));
+  return queued;
+};
+
+// The archive of a finished, unexpired export
+const getExportFile = async (userId, exportId) => {
+  const result = await pool.query(
+    `SELECT file_path, created_at FROM data_exports
+     WHERE id = $1 AND user_id = $2 AND status = 'ready' AND expires_at > NOW()`,
+    [exportId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Archive files of a user's exports, for account deletion
+const listExportFiles = async (userId) => {
+  const result = await pool.query(
+    "SELECT file_path FROM data_exports WHERE user_id = $1 AND file_path IS NOT NULL",
+    [userId]
+  );
+  return result.rows.map((row) => row.file_path);
+};
+
+// Called once by the server: exports a restart interrupted will never finish
+const failInterruptedExports = () =>
+  pool
+    .query(
+      `UPDATE data_exports SET status = 'failed', error = 'Interrupted by a server restart. Please try again', completed_at = NOW()
+       WHERE status IN ('pending', 'processing')`
+    )
+    .catch((error) => console.error("❌ Could not clean up interrupted exports:", error.message));
+
+module.exports = {
+  profilePictureFile,
+  removeFile,
+  listExports,
+  requestExport,
+  getExportFile,
+  listExportFiles,
+  failInterruptedExports,
+};
@@ -0,0 +1,253 @@
+// services/identities.js
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const pool = require("../config/db");
+const { createAccountToken, consumeAccountToken } = require("./accountTokens");
+
+// A provider sign-in that matches an existing account's email waits this
+// long for that account's password before it can be linked
+const PENDING_LINK_TTL_MINUTES = 15;
+const PENDING_LINK_MAX_ATTEMPTS = 5;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const identityError = (message, status, code) => Object.assign(new Error(message), { status, code });
+
+// Provider profiles come in as { provider, id, email, emailVerified, displayName, picture }
+const findIdentity = async (provider, providerUserId) => {
+  const result = await pool.query(
+    "SELECT * FROM user_identities WHERE provider = $1 AND provider_user_id = $2",
+    [provider, providerUserId]
+  );
+  return result.rows[0] || null;
+};
+
+const listIdentities = async (userId) => {
+  const result = await pool.query(
+    `SELECT provider, email, display_name, created_at, last_used_at
+     FROM user_identities WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+  return result.rows;
+};
+
+const linkIdentity = async (userId, profile, db = pool) => {
+  try {
+    await db.query(
+      `INSERT INTO user_identities (user_id, provider, provider_user_id, email, display_name, profile_picture, last_used_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+      [userId, profile.provider, profile.id, profile.email, profile.displayName, profile.picture]
+    );
+  } catch (error) {
+    if (error.code === "23505") {
+      throw identityError(`A ${profile.provider} account is already linked`, 409, "identity_in_use");
+    }
+    throw error;
+  }
+  console.log(`🔗 Linked ${profile.provider} identity to user ${userId}`);
+};
+
+// Keep the provider's copy of the profile fresh without touching the user's own fields
+const touchIdentity = async (identityId, profile) => {
+  await pool.query(
+    `UPDATE user_identities SET email = $2, display_name = $3, profile_picture = $4, last_used_at = NOW()
+     WHERE id = $1`,
+    [identityId, profile.email, profile.displayName, profile.picture]
+  );
+};
+
+// Refuse to remove the account's last way to sign in
+const unlinkIdentity = async (userId, provider) => {
+  const result = await pool.query(
+    `SELECT u.password_hash IS NOT NULL AS has_password,
+            (SELECT COUNT(*) FROM user_identities WHERE user_id = u.id AND provider <> $2) AS other_identities,
+            EXISTS (SELECT 1 FROM user_identities WHERE user_id = u.id AND provider = $2) AS linked
+     FROM users u WHERE u.id = $1`,
+    [userId, provider]
+  );
+  const account = result.rows[0];
+
+  if (!account.linked) {
+    throw identityError(`No ${provider} account is linked`, 404);
+  }
+  if (!account.has_password && parseInt(account.other_identities) === 0) {
+    throw identityError(
+      "This is your only way to sign in. Set a password (via password reset) before unlinking it",
+      400,
+      "last_sign_in_method"
+    );
+  }
+
+  await pool.query("DELETE FROM user_identities WHERE user_id = $1 AND provider = $2", [userId, provider]);
+  console.log(`🔗 Unlinked ${provider} identity from user ${userId}`);
+};
+
+// Single-use token a signed-in user carries through the provider's sign-in
+// page to link that provider to their account
+const createLinkIntent = (userId) => createAccountToken(userId, "link_identity");
+
+const uniqueUsername = async (email) => {
+  const base = email.split("@")[0].replace(/[^a-zA-Z0-9_]/g, "_").slice(0, 20) || "user";
+  let candidate = base;
+
+  for (let suffix = 1; ; suffix++) {
+    const taken = await pool.query("SELECT 1 FROM users WHERE username = $1", [candidate]);
+    if (taken.rows.length === 0) return candidate;
+    candidate = `${base}${suffix}`;
+  }
+};
+
+const createUserFromProfile = async (profile) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `INSERT INTO users (full_name, email, profile_picture, username, email_verified, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+       RETURNING *`,
+      [profile.displayName, profile.email, profile.picture, await uniqueUsername(profile.email), profile.emailVerified]
+    );
+    const user = result.rows[0];
+    await linkIdentity(user.id, profile, client);
+    await client.query("COMMIT");
+
+    console.log(`🆕 Created user ${user.id} from ${profile.provider} sign-in`);
+    return user;
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const createPendingLink = async (userId, profile) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await pool.query(
+    `INSERT INTO pending_identity_links
+       (token_hash, user_id, provider, provider_user_id, email, display_name, profile_picture, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(mins => $8))`,
+    [hashToken(token), userId, profile.provider, profile.id, profile.email, profile.displayName, profile.picture,
+      PENDING_LINK_TTL_MINUTES]
+  );
+  return token;
+};
+
+// Decide what a provider sign-in means:
+//   { user, created }     sign in as this user (created: the account is new)
+//   { linkedUserId }      the provider was linked to a signed-in user's account
+//   { pendingLinkToken, ownerUserId }
+//                         the email belongs to an account; its password must confirm the link
+//   { error }             nothing happened (code for the redirect)
+const resolveProviderSignIn = async (profile, { linkToken } = {}) => {
+  const existing = await findIdentity(profile.provider, profile.id);
+
+  if (linkToken) {
+    const userId = await consumeAccountToken(linkToken, "link_identity");
+    if (!userId) return { error: "link_expired" };
+    if (existing && existing.user_id !== userId) return { error: "identity_in_use" };
+
+    if (existing) {
+      await touchIdentity(existing.id, profile);
+    } else {
+      try {
+        await linkIdentity(userId, profile);
+      } catch (error) {
+        if (error.code === "identity_in_use") return { error: "identity_in_use" };
+        throw error;
+      }
+    }
+    return { linkedUserId: userId };
+  }
+
+  if (existing) {
+    await touchIdentity(existing.id, profile);
+    const result = await pool.query("SELECT * FROM users WHERE id = $1", [existing.user_id]);
+    return { user: result.rows[0] };
+  }
+
+  // Never attach a provider to an account just because the email matches
+  const owner = await pool.query("SELECT id, password_hash FROM users WHERE LOWER(email) = LOWER($1)", [
+    profile.email,
+  ]);
+  if (owner.rows.length > 0) {
+    // Only an address the provider has confirmed may ask to join an account
+    if (!owner.rows[0].password_hash || !profile.emailVerified) return { error: "email_in_use" };
+    return { pendingLinkToken: await createPendingLink(owner.rows[0].id, profile), ownerUserId: owner.rows[0].id };
+  }
+
+  return { user: await createUserFromProfile(profile), created: true };
+};
+
+// The account a pending link would join, while it can still be confirmed
+const getPendingLinkUser = async (token) => {
+  const result = await pool.query(
+    `SELECT u.* FROM pending_identity_links p
+     JOIN users u ON u.id = p.user_id
+     WHERE p.token_hash = $1 AND p.used_at IS NULL AND p.expires_at > NOW() AND p.attempts < $2`,
+    [hashToken(token), PENDING_LINK_MAX_ATTEMPTS]
+  );
+  if (result.rows.length === 0) {
+    throw identityError("This link request has expired. Please sign in again", 400, "link_expired");
+  }
+  return result.rows[0];
+};
+
+// Finish a pending link with the existing account's password; returns the user
+const confirmPendingLink = async (token, password) => {
+  const result = await pool.query(
+    `UPDATE pending_identity_links SET attempts = attempts + 1
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW() AND attempts < $2
+     RETURNING *`,
+    [hashToken(token), PENDING_LINK_MAX_ATTEMPTS]
+  );
+  if (result.rows.length === 0) {
+    throw identityError("This link request has expired. Please sign in again", 400, "link_expired");
+  }
+
+  const pending = result.rows[0];
+  const userResult = await pool.query("SELECT * FROM users WHERE id = $1", [pending.user_id]);
+  const user = userResult.rows[0];
+
+  if (!password || !user.password_hash || !(await bcrypt.compare(password, user.password_hash))) {
+    throw identityError("Password is incorrect", 401, "invalid_password");
+  }
+  // Refused as a password sign-in would be, before anything is linked
+  if (user.suspended_at) {
+    throw identityError("This account has been suspended", 403, "account_suspended");
+  }
+  if (user.password_reset_required) {
+    throw identityError(
+      "Your password must be reset. Use the link we emailed you, or request a new one",
+      403,
+      "password_reset_required"
+    );
+  }
+
+  const claimed = await pool.query(
+    "UPDATE pending_identity_links SET used_at = NOW() WHERE token_hash = $1 AND used_at IS NULL",
+    [hashToken(token)]
+  );
+  if (claimed.rowCount === 0) {
+    throw identityError("This link request was already used", 400, "link_expired");
+  }
+
+  await linkIdentity(user.id, {
+    provider: pending.provider,
+    id: pending.provider_user_id,
+    email: pending.email,
+    displayName: pending.display_name,
+    picture: pending.profile_picture,
+  });
+  return user;
+};
+
+module.exports = {
+  listIdentities,
+  unlinkIdentity,
+  createLinkIntent,
+  resolveProviderSignIn,
+  getPendingLinkUser,
+  confirmPendingLink,
+};
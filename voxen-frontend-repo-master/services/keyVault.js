@@ -0,0 +1,105 @@
+// services/keyVault.js
+const crypto = require("crypto");
+const pool = require("../config/db");
+require("dotenv").config();
+
+// AES-256-GCM with a key derived from API_KEY_ENCRYPTION_KEY
+const ALGORITHM = "aes-256-gcm";
+const ENCRYPTION_KEY = crypto
+  .createHash("sha256")
+  .update(process.env.API_KEY_ENCRYPTION_KEY || process.env.JWT_SECRET || "your-jwt-secret")
+  .digest();
+
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+
+  return {
+    encryptedKey: encrypted.toString("base64"),
+    iv: iv.toString("base64"),
+    authTag: cipher.getAuthTag().toString("base64"),
+  };
+};
+
+const decrypt = ({ encrypted_key, iv, auth_tag }) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, ENCRYPTION_KEY, Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(auth_tag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted_key, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+// Last few characters, so users can tell their keys apart
+const keyHint = (apiKey) => `••••${apiKey.slice(-4)}`;
+
+// Columns that are safe to send back to the browser
+const PUBLIC_COLUMNS = "id, provider, label, key_hint, base_url, created_at, updated_at, last_used_at";
+
+// Store (or replace) the user's key for a provider
+const saveKey = async (userId, provider, apiKey, { label = null, baseUrl = null } = {}) => {
+  const { encryptedKey, iv, authTag } = encrypt(apiKey);
+
+  const result = await pool.query(
+    `INSERT INTO api_keys (user_id, provider, label, encrypted_key, iv, auth_tag, key_hint, base_url)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (user_id, provider)
+     DO UPDATE SET
+       label = COALESCE(EXCLUDED.label, api_keys.label),
+       encrypted_key = EXCLUDED.encrypted_key,
+       iv = EXCLUDED.iv,
+       auth_tag = EXCLUDED.auth_tag,
+       key_hint = EXCLUDED.key_hint,
+       base_url = COALESCE(EXCLUDED.base_url, api_keys.base_url),
+       updated_at = NOW()
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [userId, provider, label, encryptedKey, iv, authTag, keyHint(apiKey), baseUrl]
+  );
+
+  return result.rows[0];
+};
+
+const findKey = async (userId, provider) => {
+  const result = await pool.query(
+    `SELECT ${PUBLIC_COLUMNS} FROM api_keys WHERE user_id = $1 AND provider = $2`,
+    [userId, provider]
+  );
+  return result.rows[0] || null;
+};
+
+const listKeys = async (userId) => {
+  const result = await pool.query(
+    `SELECT ${PUBLIC_COLUMNS} FROM api_keys WHERE user_id = $1 ORDER BY provider`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// Decrypt the user's key for a provider and mark it as used
+const getDecryptedKey = async (userId, provider) => {
+  const result = await pool.query(
+    `UPDATE api_keys SET last_used_at = NOW()
+     WHERE user_id = $1 AND provider = $2
+     RETURNING encrypted_key, iv, auth_tag, base_url`,
+    [userId, provider]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  return {
+    apiKey: decrypt(result.rows[0]),
+    baseUrl: result.rows[0].base_url,
+  };
+};
+
+const deleteKey = async (userId, provider) => {
+  const result = await pool.query(
+    "DELETE FROM api_keys WHERE user_id = $1 AND provider = $2 RETURNING id",
+    [userId, provider]
+  );
+  return result.rows.length > 0;
+};
+
+module.exports = { saveKey, findKey, listKeys, getDecryptedKey, deleteKey, encrypt, decrypt };
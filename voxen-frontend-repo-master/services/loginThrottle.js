@@ -0,0 +1,141 @@
+// services/loginThrottle.js
+const pool = require("../config/db");
+const { recordAuditEvent } = require("./audit");
+require("dotenv").config();
+
+// Failed attempts are forgotten after this long without another one
+const ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// After the free attempts, each failure doubles the wait, up to the maximum
+const BACKOFF_FREE_ATTEMPTS = parseInt(process.env.LOGIN_BACKOFF_FREE_ATTEMPTS) || 3;
+const BACKOFF_MAX_SECONDS = parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 60;
+
+const POLICIES = {
+  // Per email address, whether or not an account uses it, so throttling
+  // doesn't reveal which addresses are registered
+  account: {
+    backoffAfter: BACKOFF_FREE_ATTEMPTS,
+    lockoutAfter: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10,
+  },
+  // Per client IP; no backoff, so one user's typos don't slow a shared address
+  ip: {
+    backoffAfter: Infinity,
+    lockoutAfter: parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 50,
+  },
+  // Wrong 2FA codes per user ID. Kept apart from "account", which a right
+  // password clears, so fresh sign-ins don't buy fresh guesses
+  mfa: {
+    backoffAfter: BACKOFF_FREE_ATTEMPTS,
+    lockoutAfter: parseInt(process.env.MFA_LOCKOUT_THRESHOLD) || 10,
+  },
+  // Sign-ups per client IP (every attempt counts)
+  register: {
+    backoffAfter: Infinity,
+    lockoutAfter: parseInt(process.env.REGISTER_IP_LIMIT) || 10,
+  },
+};
+
+// Counters nobody has touched for a day are dropped, at most hourly
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPrunedAt = 0;
+
+const pruneAttempts = () => {
+  if (Date.now() - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = Date.now();
+
+  pool
+    .query(
+      `DELETE FROM auth_attempts
+       WHERE last_attempt_at < NOW() - INTERVAL '1 day' AND (locked_until IS NULL OR locked_until < NOW())`
+    )
+    .catch((error) => console.error("❌ Failed to prune sign-in attempts:", error.message));
+};
+
+const backoffSeconds = (policy, attempts) =>
+  attempts < policy.backoffAfter ? 0 : Math.min(2 ** (attempts - policy.backoffAfter), BACKOFF_MAX_SECONDS);
+
+// Seconds to wait before any of these keys may try again (0 = go ahead).
+// keys: [[scope, key], ...]
+const getRetryAfter = async (keys) => {
+  let retryAfter = 0;
+
+  for (const [scope, key] of keys) {
+    const result = await pool.query(
+      `SELECT attempts,
+              EXTRACT(EPOCH FROM locked_until - NOW())::float AS locked_for,
+              EXTRACT(EPOCH FROM NOW() - last_attempt_at)::float AS since_last,
+              last_attempt_at < NOW() - make_interval(mins => $3) AS stale
+       FROM auth_attempts WHERE scope = $1 AND key = $2`,
+      [scope, key, ATTEMPT_WINDOW_MINUTES]
+    );
+    if (result.rows.length === 0) continue;
+
+    const row = result.rows[0];
+    let wait = 0;
+    if (row.locked_for > 0) {
+      wait = row.locked_for;
+    } else if (!row.stale) {
+      wait = backoffSeconds(POLICIES[scope], row.attempts) - row.since_last;
+    }
+    retryAfter = Math.max(retryAfter, Math.ceil(wait));
+  }
+
+  return retryAfter;
+};
+
+// Count a failed attempt against each key; reaching a key's threshold locks it
+const recordFailedAttempt = async (keys, req) => {
+  pruneAttempts();
+
+  for (const [scope, key] of keys) {
+    const result = await pool.query(
+      `INSERT INTO auth_attempts (scope, key, attempts, last_attempt_at)
+       VALUES ($1, $2, 1, NOW())
+       ON CONFLICT (scope, key) DO UPDATE SET
+         attempts = CASE
+           WHEN auth_attempts.last_attempt_at < NOW() - make_interval(mins => $3) THEN 1
+           ELSE auth_attempts.attempts + 1
+         END,
+         last_attempt_at = NOW()
+       RETURNING attempts`,
+      [scope, key, ATTEMPT_WINDOW_MINUTES]
+    );
+    const { attempts } = result.rows[0];
+    if (attempts < POLICIES[scope].lockoutAfter) continue;
+
+    // Counting starts over once the lockout ends
+    await pool.query(
+      `UPDATE auth_attempts SET attempts = 0, locked_until = NOW() + make_interval(mins => $3)
+       WHERE scope = $1 AND key = $2`,
+      [scope, key, LOCKOUT_MINUTES]
+    );
+    console.warn(`🔒 ${scope} ${key} locked for ${LOCKOUT_MINUTES} minutes after ${attempts} attempts`);
+    await recordAuditEvent("auth.lockout", {
+      req,
+      target: `${scope}:${key}`,
+      outcome: "locked",
+      metadata: { scope, attempts, lockoutMinutes: LOCKOUT_MINUTES },
+    });
+  }
+};
+
+// A successful sign-in (or 2FA code) clears its account's failures (not the IP's)
+const clearFailedAttempts = async (scope, key) => {
+  await pool.query(
+    "DELETE FROM auth_attempts WHERE scope = $1 AND key = $2 AND (locked_until IS NULL OR locked_until < NOW())",
+    [scope, key]
+  );
+};
+
+// The 429 for a throttled request, with how long to wait
+const tooManyAttempts = (res, retryAfter) => {
+  const wait = retryAfter > 90 ? `${Math.ceil(retryAfter / 60)} minutes` : `${retryAfter} seconds`;
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: `Too many attempts. Please try again in ${wait}`,
+    code: "too_many_attempts",
+    retryAfter,
+  });
+};
+
+module.exports = { getRetryAfter, recordFailedAttempt, clearFailedAttempts, tooManyAttempts };
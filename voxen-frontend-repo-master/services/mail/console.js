@@ -0,0 +1,13 @@
+// services/mail/console.js
+
+// Prints messages to the server log instead of sending them
+const createConsoleTransport = () => {
+  const send = async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id: null };
+  };
+
+  return { name: "console", send };
+};
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,21 @@
+// services/mail/file.js
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+// Writes each message as a JSON file, for local development and tests
+const createFileTransport = ({ directory }) => {
+  const send = async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    const file = path.join(directory, `${id}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+
+    return { id, file };
+  };
+
+  return { name: "file", send };
+};
+
+module.exports = { createFileTransport };
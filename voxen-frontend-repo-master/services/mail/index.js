@@ -0,0 +1,47 @@
+// services/mail/index.js
+const path = require("path");
+const { createSmtpTransport } = require("./smtp");
+const { createFileTransport } = require("./file");
+const { createConsoleTransport } = require("./console");
+require("dotenv").config();
+
+const MAIL_FROM = process.env.MAIL_FROM || "Voxen <no-reply@localhost>";
+
+// Selected with MAIL_TRANSPORT; "console" needs no setup
+const TRANSPORTS = {
+  smtp: () =>
+    createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+    }),
+  file: () =>
+    createFileTransport({
+      directory: path.resolve(process.env.MAIL_FILE_DIR || "mail-outbox"),
+    }),
+  console: () => createConsoleTransport(),
+};
+
+let transport = null;
+
+const getMailTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || "console";
+    if (!Object.prototype.hasOwnProperty.call(TRANSPORTS, name)) {
+      throw new Error(`Unsupported mail transport: ${name}`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+// Send { to, subject, text, html? } from MAIL_FROM
+const sendMail = async (message) => {
+  const result = await getMailTransport().send({ from: MAIL_FROM, ...message });
+  console.log(`📧 Sent "${message.subject}" to ${message.to} via ${transport.name}`);
+  return result;
+};
+
+module.exports = { TRANSPORTS, getMailTransport, sendMail };
@@ -0,0 +1,25 @@
+// services/mail/smtp.js
+const nodemailer = require("nodemailer");
+
+// Sends through any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD)
+const createSmtpTransport = ({ host, port, secure, user, password }) => {
+  if (!host) {
+    throw new Error("SMTP_HOST is required for the smtp mail transport");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined,
+  });
+
+  const send = async (message) => {
+    const info = await transporter.sendMail(message);
+    return { id: info.messageId };
+  };
+
+  return { name: "smtp", send };
+};
+
+module.exports = { createSmtpTransport };
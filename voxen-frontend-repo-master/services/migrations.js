@@ -0,0 +1,222 @@
+// services/migrations.js
+// Versioned schema migrations. Each file in migrations/ is named
+// NNNN_description.js and exports async up(db) and down(db); every one runs
+// in its own transaction and is recorded in schema_migrations with a
+// checksum, so an applied migration that is edited afterwards is noticed.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const pool = require("../config/db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.js$/;
+
+// Held while migrating, so two deploys can't run the same migration at once
+const MIGRATION_LOCK_ID = 7240118;
+
+const migrationError = (message, code) => Object.assign(new Error(message), { code });
+
+const ensureMigrationsTable = (db) =>
+  db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(4) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      duration_ms INTEGER
+    )
+  `);
+
+// Migration files in version order
+const loadMigrations = () => {
+  const migrations = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => file.endsWith(".js"))
+    .sort()
+    .map((file) => {
+      const match = FILE_PATTERN.exec(file);
+      if (!match) throw migrationError(`Migration file name must look like 0001_add_things.js: ${file}`, "invalid_name");
+
+      const fullPath = path.join(MIGRATIONS_DIR, file);
+      return {
+        version: match[1],
+        name: match[2],
+        file,
+        path: fullPath,
+        checksum: crypto.createHash("sha256").update(fs.readFileSync(fullPath)).digest("hex"),
+      };
+    });
+
+  const versions = new Set();
+  for (const migration of migrations) {
+    if (versions.has(migration.version)) {
+      throw migrationError(`Two migrations share version ${migration.version}`, "duplicate_version");
+    }
+    versions.add(migration.version);
+  }
+  return migrations;
+};
+
+// Every migration with its state:
+//   applied   recorded and unchanged since
+//   pending   not run yet
+//   modified  recorded, but the file has changed since it ran
+//   missing   recorded, but no file has its version (the database is newer than the code)
+const getMigrationStatus = async (db = pool) => {
+  await ensureMigrationsTable(db);
+  const applied = await db.query("SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version");
+  const appliedByVersion = new Map(applied.rows.map((row) => [row.version, row]));
+  const migrations = loadMigrations();
+
+  const status = migrations.map((migration) => {
+    const row = appliedByVersion.get(migration.version);
+    let state = "pending";
+    if (row) state = row.checksum === migration.checksum ? "applied" : "modified";
+    return { ...migration, state, appliedAt: row?.applied_at || null };
+  });
+
+  const known = new Set(migrations.map((migration) => migration.version));
+  for (const row of applied.rows) {
+    if (!known.has(row.version)) {
+      status.push({ version: row.version, name: row.name, file: null, state: "missing", appliedAt: row.applied_at });
+    }
+  }
+  return status.sort((a, b) => a.version.localeCompare(b.version));
+};
+
+// Run fn on a client holding the migration lock
+const withMigrationLock = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+const runInTransaction = async (client, fn) => {
+  await client.query("BEGIN");
+  try {
+    await fn();
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  }
+};
+
+const refuseModified = (status) => {
+  const modified = status.filter((migration) => migration.state === "modified");
+  if (modified.length > 0) {
+    throw migrationError(
+      `Applied migrations have changed since they ran: ${modified.map((migration) => migration.file).join(", ")}. ` +
+        "Restore them and put new changes in a new migration",
+      "migration_modified"
+    );
+  }
+};
+
+// Apply pending migrations in order, up to and including `to` when given.
+// Returns the migrations that ran.
+const migrateUp = async ({ to } = {}) =>
+  withMigrationLock(async (client) => {
+    const status = await getMigrationStatus(client);
+    refuseModified(status);
+
+    const pending = status.filter((migration) => migration.state === "pending" && (!to || migration.version <= to));
+    for (const migration of pending) {
+      const { up } = require(migration.path);
+      const started = Date.now();
+
+      await runInTransaction(client, async () => {
+        await up(client);
+        await client.query(
+          "INSERT INTO schema_migrations (version, name, checksum, duration_ms) VALUES ($1, $2, $3, $4)",
+          [migration.version, migration.name, migration.checksum, Date.now() - started]
+        );
+      });
+      console.log(`⬆️ Applied ${migration.file} (${Date.now() - started} ms)`);
+    }
+    return pending;
+  });
+
+// Revert the most recent `steps` applied migrations, newest first
+const migrateDown = async ({ steps = 1 } = {}) =>
+  withMigrationLock(async (client) => {
+    const status = await getMigrationStatus(client);
+    const applied = status.filter((migration) => migration.state !== "pending").reverse().slice(0, steps);
+
+    for (const migration of applied) {
+      if (migration.state === "missing") {
+        throw migrationError(`Migration ${migration.version}_${migration.name} has no file to revert it with`, "migration_missing");
+      }
+      const { down } = require(migration.path);
+      if (typeof down !== "function") {
+        throw migrationError(`${migration.file} can't be reverted (it has no down)`, "irreversible");
+      }
+
+      await runInTransaction(client, async () => {
+        await down(client);
+        await client.query("DELETE FROM schema_migrations WHERE version = $1", [migration.version]);
+      });
+      console.log(`⬇️ Reverted ${migration.file}`);
+    }
+    return applied;
+  });
+
+// Write an empty migration with the next version number; returns its path
+const createMigration = (description) => {
+  const name = String(description || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+  if (!name) throw migrationError("Describe the migration, e.g. add_user_locale", "invalid_name");
+
+  const last = loadMigrations().pop();
+  const version = String(last ? parseInt(last.version) + 1 : 1).padStart(4, "0");
+  const file = path.join(MIGRATIONS_DIR, `${version}_${name}.js`);
+
+  fs.writeFileSync(
+    file,
+    `// migrations/${version}_${name}.js\n\n` +
+      "const up = async (db) => {\n  await db.query(``);\n};\n\n" +
+      "const down = async (db) => {\n  await db.query(``);\n};\n\n" +
+      "module.exports = { up, down };\n"
+  );
+  return file;
+};
+
+// The server calls this before listening: it never changes the schema itself
+const assertSchemaCurrent = async () => {
+  const status = await getMigrationStatus();
+  refuseModified(status);
+
+  const pending = status.filter((migration) => migration.state === "pending");
+  if (pending.length > 0) {
+    throw migrationError(
+      `${pending.length} database migration(s) pending: ${pending.map((migration) => migration.file).join(", ")}. ` +
+        "Run `npm run migrate -- up` first",
+      "migrations_pending"
+    );
+  }
+
+  const missing = status.filter((migration) => migration.state === "missing");
+  if (missing.length > 0) {
+    console.warn(
+      `⚠️ The database has migrations this code doesn't know: ${missing.map((migration) => migration.version).join(", ")}`
+    );
+  }
+};
+
+module.exports = {
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  createMigration,
+  assertSchemaCurrent,
+};
@@ -0,0 +1,197 @@
+// services/modelCatalog.js
+const { PROVIDERS, createProvider } = require("./providers");
+const { listKeys, getDecryptedKey } = require("./keyVault");
+const { getSetting, setSetting } = require("./appSettings");
+require("dotenv").config();
+
+// Used until an admin picks a default model
+const FALLBACK_DEFAULT_MODEL = process.env.DEFAULT_MODEL || "qwen2.5:0.5b";
+const DEFAULT_MODEL_SETTING = "default_model";
+
+const CACHE_TTL_MS = (parseInt(process.env.MODEL_CATALOG_TTL_SECONDS) || 300) * 1000;
+
+// Anthropic's model list carries no capability metadata; every current
+// Claude model takes images and tools with a 200k window
+const ANTHROPIC_CONTEXT_LENGTH = 200000;
+
+// OpenAI lists audio, image and moderation models alongside chat ones
+const NON_CHAT_OPENAI_MODEL = /whisper|tts|dall-e|moderation|transcribe|realtime|audio|image/i;
+
+const cache = new Map();
+
+// Return the cached value for key, reloading it once it is older than the TTL
+const cached = async (key, load, { refresh = false } = {}) => {
+  const entry = cache.get(key);
+  if (!refresh && entry && entry.expiresAt > Date.now()) return entry.value;
+
+  const value = await load();
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+// Drop cached model lists, e.g. after a user changes a provider key
+const invalidateModelCatalog = (userId, provider) => {
+  cache.delete(userId && provider ? `${provider}:${userId}` : "ollama");
+};
+
+/* ---------- Ollama ---------- */
+
+// Guess capabilities from the model name and families on servers whose
+// /api/show predates the capabilities field
+const inferOllamaCapabilities = (id, families) => {
+  if (/embed/i.test(id) || families.some((family) => /bert/i.test(family))) {
+    return ["embedding"];
+  }
+
+  const capabilities = ["completion"];
+  if (/llava|vision/i.test(id) || families.some((family) => /clip|mllama/i.test(family))) {
+    capabilities.push("vision");
+  }
+  return capabilities;
+};
+
+const describeOllamaModel = async (provider, model) => {
+  let info = { contextLength: null, capabilities: null, families: [] };
+  try {
+    info = await provider.describeModel(model.id);
+  } catch (error) {
+    console.warn(`⚠️ Could not describe Ollama model ${model.id}:`, error.message);
+  }
+
+  const families = [model.details.family, ...(model.details.families || []), ...info.families].filter(Boolean);
+  const capabilities = info.capabilities || inferOllamaCapabilities(model.id, families);
+
+  return {
+    id: model.id,
+    provider: "ollama",
+    name: model.id,
+    parameterSize: model.details.parameter_size || null,
+    contextLength: info.contextLength,
+    vision: capabilities.includes("vision"),
+    tools: capabilities.includes("tools"),
+    embeddingOnly: capabilities.includes("embedding") && !capabilities.includes("completion"),
+  };
+};
+
+const loadOllamaModels = async () => {
+  const provider = createProvider("ollama");
+  const models = await provider.listModels();
+  return Promise.all(models.map((model) => describeOllamaModel(provider, model)));
+};
+
+const getOllamaModels = ({ refresh = false } = {}) => cached("ollama", loadOllamaModels, { refresh });
+
+/* ---------- External providers ---------- */
+
+const describeOpenAIModel = (providerName, model) => {
+  const embeddingOnly = /embed/i.test(model.id);
+
+  return {
+    id: model.id,
+    provider: providerName,
+    name: model.displayName || model.id,
+    contextLength: model.contextLength,
+    vision: model.inputModalities
+      ? model.inputModalities.includes("image")
+      : /^(gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|o[134])/.test(model.id),
+    tools: model.supportedParameters
+      ? model.supportedParameters.includes("tools")
+      : !embeddingOnly && /^(gpt-|o\d)/.test(model.id),
+    embeddingOnly,
+  };
+};
+
+const describeAnthropicModel = (model) => ({
+  id: model.id,
+  provider: "anthropic",
+  name: model.displayName || model.id,
+  contextLength: ANTHROPIC_CONTEXT_LENGTH,
+  vision: true,
+  tools: true,
+  embeddingOnly: false,
+});
+
+const loadExternalModels = async (userId, providerName) => {
+  const credentials = await getDecryptedKey(userId, providerName);
+  if (!credentials) return [];
+
+  const models = await createProvider(providerName, credentials).listModels();
+
+  if (providerName === "anthropic") return models.map(describeAnthropicModel);
+
+  return models
+    .filter((model) => !NON_CHAT_OPENAI_MODEL.test(model.id))
+    .map((model) => describeOpenAIModel(providerName, model));
+};
+
+/* ---------- Default model ---------- */
+
+const getDefaultModel = async () => {
+  try {
+    return await cached(DEFAULT_MODEL_SETTING, async () =>
+      (await getSetting(DEFAULT_MODEL_SETTING)) || FALLBACK_DEFAULT_MODEL
+    );
+  } catch (error) {
+    console.error("❌ Failed to load default model setting:", error.message);
+    return FALLBACK_DEFAULT_MODEL;
+  }
+};
+
+const setDefaultModel = async (model, updatedBy) => {
+  await setSetting(DEFAULT_MODEL_SETTING, model, updatedBy);
+  cache.set(DEFAULT_MODEL_SETTING, { value: model, expiresAt: Date.now() + CACHE_TTL_MS });
+};
+
+/* ---------- Catalogue ---------- */
+
+// Ollama's installed models plus those of every provider the user has a key
+// for. A provider that cannot be reached is reported, not fatal.
+const getModelCatalog = async ({ userId, refresh = false } = {}) => {
+  const sources = [{ provider: "ollama", load: () => getOllamaModels({ refresh }) }];
+
+  if (userId) {
+    const keys = await listKeys(userId);
+    keys
+      .filter((key) => key.provider !== "ollama" && PROVIDERS[key.provider])
+      .forEach(({ provider }) => {
+        sources.push({
+          provider,
+          load: () => cached(`${provider}:${userId}`, () => loadExternalModels(userId, provider), { refresh }),
+        });
+      });
+  }
+
+  const results = await Promise.all(
+    sources.map(async ({ provider, load }) => {
+      try {
+        return { provider, available: true, models: await load() };
+      } catch (error) {
+        console.warn(`⚠️ Could not list ${provider} models:`, error.message);
+        return { provider, available: false, error: error.message, models: [] };
+      }
+    })
+  );
+
+  const defaultModel = await getDefaultModel();
+
+  return {
+    defaultModel,
+    providers: results.map(({ provider, available, error, models }) => ({
+      provider,
+      available,
+      modelCount: models.length,
+      ...(error && { error }),
+    })),
+    models: results
+      .flatMap((result) => result.models)
+      .map((model) => ({ ...model, isDefault: model.provider === "ollama" && model.id === defaultModel })),
+  };
+};
+
+module.exports = {
+  getModelCatalog,
+  getOllamaModels,
+  getDefaultModel,
+  setDefaultModel,
+  invalidateModelCatalog,
+};
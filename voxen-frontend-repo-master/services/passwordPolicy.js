@@ -0,0 +1,60 @@
+// services/passwordPolicy.js
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+const POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  // bcrypt ignores everything after 72 bytes
+  maxLength: Math.min(parseInt(process.env.PASSWORD_MAX_LENGTH) || 72, 72),
+  // Of lowercase, uppercase, digits and symbols
+  minCharacterClasses: parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES) || 1,
+  blockCommon: process.env.PASSWORD_BLOCK_COMMON !== "false",
+};
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+const readList = (file) =>
+  fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith("#"));
+
+// The bundled list, plus an optional longer one
+const COMMON_PASSWORDS = new Set([
+  ...readList(path.join(__dirname, "..", "config", "common-passwords.txt")),
+  ...(process.env.PASSWORD_BLOCKLIST_FILE ? readList(process.env.PASSWORD_BLOCKLIST_FILE) : []),
+]);
+
+// What the problem with a new password is, or null if it is acceptable.
+// email and username are refused as passwords too.
+const checkPassword = (password, { email, username } = {}) => {
+  if (typeof password !== "string" || password.length < POLICY.minLength) {
+    return `Password must be at least ${POLICY.minLength} characters long`;
+  }
+  if (Buffer.byteLength(password) > POLICY.maxLength) {
+    return `Password must be at most ${POLICY.maxLength} characters long`;
+  }
+
+  const classes = CHARACTER_CLASSES.filter((pattern) => pattern.test(password)).length;
+  if (classes < POLICY.minCharacterClasses) {
+    return `Password must mix at least ${POLICY.minCharacterClasses} of lowercase letters, uppercase letters, digits and symbols`;
+  }
+
+  const lowered = password.toLowerCase();
+  const personal = [username, email, email && email.split("@")[0]].filter(Boolean).map((value) => value.toLowerCase());
+  if (personal.includes(lowered)) {
+    return "Password must not be your email or username";
+  }
+  if (POLICY.blockCommon && COMMON_PASSWORDS.has(lowered)) {
+    return "This password is too common. Please choose another";
+  }
+
+  return null;
+};
+
+// Rules for the frontend to show next to password fields
+const describePasswordPolicy = () => ({ ...POLICY });
+
+module.exports = { checkPassword, describePasswordPolicy };
@@ -0,0 +1,126 @@
+// services/personalTokens.js
+const crypto = require("crypto");
+const pool = require("../config/db");
+require("dotenv").config();
+
+// What a personal access token can be allowed to do. Anything not listed
+// here (account, security and admin endpoints) needs a signed-in session.
+const SCOPES = {
+  "chat:read": "Read conversations, messages, models and stats",
+  "chat:write": "Send messages and change or delete conversations",
+  search: "Search messages",
+  reviews: "Write, edit and delete your review",
+};
+
+// Tokens are recognisable by their prefix, so they can't be mistaken for JWTs
+const TOKEN_PREFIX = "vxp_";
+const MAX_TOKENS_PER_USER = 25;
+const MAX_EXPIRY_DAYS = 365;
+
+// Don't write last_used_at on every request
+const LAST_USED_INTERVAL_SECONDS = 60;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const tokenError = (message, status, code) => Object.assign(new Error(message), { status, code });
+
+const isPersonalToken = (token) => typeof token === "string" && token.startsWith(TOKEN_PREFIX);
+
+const TOKEN_COLUMNS = `id, name, token_hint, scopes, expires_at, last_used_at, last_used_ip, created_at,
+  expires_at IS NOT NULL AND expires_at <= NOW() AS expired`;
+
+const listPersonalTokens = async (userId) => {
+  const result = await pool.query(
+    `SELECT ${TOKEN_COLUMNS}
+     FROM personal_access_tokens
+     WHERE user_id = $1 AND revoked_at IS NULL
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// The plaintext token is only ever returned here; just its hash is stored
+const createPersonalToken = async (userId, { name, scopes, expiresInDays }) => {
+  if (typeof name !== "string" || !name.trim() || name.trim().length > 100) {
+    throw tokenError("Token name is required (at most 100 characters)", 400, "invalid_name");
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((scope) => Object.hasOwn(SCOPES, scope))) {
+    throw tokenError(`Scopes must be a list of: ${Object.keys(SCOPES).join(", ")}`, 400, "invalid_scope");
+  }
+  const days = expiresInDays === undefined || expiresInDays === null ? null : Number(expiresInDays);
+  if (days !== null && !(Number.isInteger(days) && days >= 1 && days <= MAX_EXPIRY_DAYS)) {
+    throw tokenError(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days, or none`, 400, "invalid_expiry");
+  }
+
+  const count = await pool.query(
+    "SELECT COUNT(*) FROM personal_access_tokens WHERE user_id = $1 AND revoked_at IS NULL",
+    [userId]
+  );
+  if (parseInt(count.rows[0].count) >= MAX_TOKENS_PER_USER) {
+    throw tokenError(`You can have at most ${MAX_TOKENS_PER_USER} tokens. Revoke one first`, 409, "too_many_tokens");
+  }
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  const result = await pool.query(
+    `INSERT INTO personal_access_tokens (user_id, name, token_hash, token_hint, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::integer IS NULL THEN NULL ELSE NOW() + make_interval(days => $6) END)
+     RETURNING ${TOKEN_COLUMNS}`,
+    [userId, name.trim(), hashToken(token), token.slice(-4), [...new Set(scopes)], days]
+  );
+
+  return { token, details: result.rows[0] };
+};
+
+const revokePersonalToken = async (userId, tokenId) => {
+  const result = await pool.query(
+    `UPDATE personal_access_tokens SET revoked_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id, name`,
+    [tokenId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Revoke every live token of an account; returns how many there were
+const revokeAllPersonalTokens = async (userId) => {
+  const result = await pool.query(
+    "UPDATE personal_access_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL",
+    [userId]
+  );
+  return result.rowCount;
+};
+
+// The account behind a token, or null when it is unknown, revoked or
+// expired; also records when and from where it was last used
+const resolvePersonalToken = async (token, req) => {
+  const result = await pool.query(
+    `SELECT t.id, t.scopes, u.id AS user_id, u.email, u.username, u.email_verified, u.role,
+            u.suspended_at IS NOT NULL AS suspended,
+            t.last_used_at IS NULL OR t.last_used_at < NOW() - make_interval(secs => $2) AS stale
+     FROM personal_access_tokens t
+     JOIN users u ON t.user_id = u.id
+     WHERE t.token_hash = $1 AND t.revoked_at IS NULL AND (t.expires_at IS NULL OR t.expires_at > NOW())`,
+    [hashToken(token), LAST_USED_INTERVAL_SECONDS]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  if (row.stale) {
+    pool
+      .query("UPDATE personal_access_tokens SET last_used_at = NOW(), last_used_ip = $2 WHERE id = $1", [row.id, req.ip])
+      .catch((error) => console.error("❌ Failed to update token activity:", error.message));
+  }
+  return row;
+};
+
+module.exports = {
+  SCOPES,
+  isPersonalToken,
+  listPersonalTokens,
+  createPersonalToken,
+  revokePersonalToken,
+  revokeAllPersonalTokens,
+  resolvePersonalToken,
+};
@@ -0,0 +1,71 @@
+// services/providers/anthropic.js
+const { postJson, getJson, readLines, collectStream } = require("./http");
+
+const ANTHROPIC_VERSION = "2023-06-01";
+const DEFAULT_MAX_TOKENS = 4096;
+
+// Anthropic takes system prompts separately from the user/assistant turns
+const splitSystem = (messages) => ({
+  system: messages.filter((m) => m.role === "system").map((m) => m.content).join("\n\n") || undefined,
+  messages: messages.filter((m) => m.role !== "system"),
+});
+
+// Adapter for Anthropic-style Messages APIs
+const createAnthropicProvider = ({ name = "anthropic", baseUrl, apiKey }) => {
+  const headers = { "x-api-key": apiKey, "anthropic-version": ANTHROPIC_VERSION };
+
+  return {
+    name,
+
+    chat: async (model, messages, { signal } = {}) => {
+      const response = await postJson(`${baseUrl}/messages`, {
+        headers,
+        body: { model, max_tokens: DEFAULT_MAX_TOKENS, ...splitSystem(messages) },
+        signal,
+        timeout: 120000,
+      });
+
+      const data = await response.json();
+      const content = (data.content || [])
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join("");
+      return content;
+    },
+
+    // Server-sent events; text arrives in content_block_delta events
+    streamChat: (model, messages, { signal, onDelta }) =>
+      collectStream(async (append) => {
+        const response = await postJson(`${baseUrl}/messages`, {
+          headers,
+          body: { model, max_tokens: DEFAULT_MAX_TOKENS, stream: true, ...splitSystem(messages) },
+          signal,
+        });
+
+        for await (const line of readLines(response)) {
+          if (!line.startsWith("data:")) continue;
+          const event = JSON.parse(line.slice(5).trim());
+
+          if (event.type === "error") throw new Error(`${name} API error: ${event.error?.message}`);
+          if (event.type === "message_stop") break;
+
+          const delta = event.type === "content_block_delta" ? event.delta?.text || "" : "";
+          if (delta) {
+            append(delta);
+            onDelta(delta);
+          }
+        }
+      }),
+
+    embed: async () => {
+      throw new Error(`${name} does not provide embeddings`);
+    },
+
+    listModels: async () => {
+      const data = await getJson(`${baseUrl}/models`, { headers });
+      return (data.data || []).map((model) => ({ id: model.id, displayName: model.display_name }));
+    },
+  };
+};
+
+module.exports = { createAnthropicProvider };
@@ -0,0 +1,75 @@
+// services/providers/http.js
+const fetch = require("node-fetch");
+
+// POST a JSON body and return the raw response, throwing on HTTP errors
+const postJson = async (url, { headers = {}, body, signal, timeout } = {}) => {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal,
+    timeout,
+  });
+
+  // The upstream body is kept for server logs, out of the message that
+  // callers may pass on to clients
+  if (!response.ok) {
+    const text = await response.text().catch(() => "");
+    const error = new Error(`API error: ${response.status}`);
+    error.status = response.status;
+    error.responseText = text.substring(0, 200);
+    throw error;
+  }
+
+  return response;
+};
+
+// GET a JSON document, throwing on HTTP errors
+const getJson = async (url, { headers = {}, timeout = 15000 } = {}) => {
+  const response = await fetch(url, { headers, timeout });
+
+  if (!response.ok) {
+    const error = new Error(`API error: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+};
+
+// Yield the non-empty lines of a streamed response body
+async function* readLines(response) {
+  let buffer = "";
+
+  for await (const chunk of response.body) {
+    buffer += chunk.toString("utf8");
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+      if (line) yield line;
+    }
+  }
+
+  if (buffer.trim()) yield buffer.trim();
+}
+
+// Run a streaming generation; an abort ends it early and keeps the partial text
+const collectStream = async (generate) => {
+  let content = "";
+  let truncated = false;
+
+  try {
+    await generate((delta) => {
+      content += delta;
+    });
+  } catch (error) {
+    if (error.name !== "AbortError") throw error;
+    truncated = true;
+  }
+
+  return { content, truncated };
+};
+
+module.exports = { postJson, getJson, readLines, collectStream };
@@ -0,0 +1,70 @@
+// services/providers/index.js
+const { createOllamaProvider } = require("./ollama");
+const { createOpenAIProvider } = require("./openai");
+const { createAnthropicProvider } = require("./anthropic");
+require("dotenv").config();
+
+// Known providers: which adapter they use, where they live and whether
+// they need a per-user API key from the key vault
+const PROVIDERS = {
+  ollama: {
+    adapter: createOllamaProvider,
+    baseUrl: process.env.OLLAMA_BASE_URL || "http://localhost:11434",
+    requiresKey: false,
+  },
+  openai: {
+    adapter: createOpenAIProvider,
+    baseUrl: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    requiresKey: true,
+  },
+  openrouter: {
+    adapter: createOpenAIProvider,
+    baseUrl: process.env.OPENROUTER_BASE_URL || "https://openrouter.ai/api/v1",
+    requiresKey: true,
+  },
+  anthropic: {
+    adapter: createAnthropicProvider,
+    baseUrl: process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com/v1",
+    requiresKey: true,
+  },
+};
+
+const isKnownProvider = (name) => Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+
+// Hosts a user's base URL may point at: the provider's configured host, plus
+// any listed in e.g. OPENAI_ALLOWED_HOSTS=llm-proxy.example.com,other.example.com
+const allowedHosts = (name) => [
+  new URL(PROVIDERS[name].baseUrl).host.toLowerCase(),
+  ...(process.env[`${name.toUpperCase()}_ALLOWED_HOSTS`] || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean),
+];
+
+// Base URLs from users must be https on an allowed host, so a saved key can't
+// make the server call internal or metadata addresses
+const isAllowedBaseUrl = (name, baseUrl) => {
+  if (!isKnownProvider(name) || typeof baseUrl !== "string") return false;
+
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (error) {
+    return false;
+  }
+  return url.protocol === "https:" && !url.username && !url.password && allowedHosts(name).includes(url.host.toLowerCase());
+};
+
+// Build an adapter exposing chat(), streamChat() and embed(). A base URL
+// that is no longer allowed (e.g. saved before the allowlist) is ignored.
+const createProvider = (name, { apiKey, baseUrl } = {}) => {
+  if (!isKnownProvider(name)) {
+    throw new Error(`Unsupported provider: ${name}`);
+  }
+
+  const config = PROVIDERS[name];
+  const allowed = baseUrl && (baseUrl === config.baseUrl || isAllowedBaseUrl(name, baseUrl));
+  return config.adapter({ name, apiKey, baseUrl: allowed ? baseUrl : config.baseUrl });
+};
+
+module.exports = { PROVIDERS, isKnownProvider, isAllowedBaseUrl, createProvider };
@@ -0,0 +1,78 @@
+// services/providers/ollama.js
+const { postJson, getJson, readLines, collectStream } = require("./http");
+
+// Adapter for a local Ollama server
+const createOllamaProvider = ({ baseUrl }) => ({
+  name: "ollama",
+
+  chat: async (model, messages, { signal } = {}) => {
+    const response = await postJson(`${baseUrl}/api/chat`, {
+      body: { model, messages, stream: false },
+      signal,
+      timeout: 120000,
+    });
+
+    const data = await response.json();
+    if (!data.message || typeof data.message.content !== "string") {
+      throw new Error("No reply returned from Ollama");
+    }
+    return data.message.content;
+  },
+
+  // Ollama streams newline-delimited JSON objects
+  streamChat: (model, messages, { signal, onDelta }) =>
+    collectStream(async (append) => {
+      const response = await postJson(`${baseUrl}/api/chat`, {
+        body: { model, messages, stream: true },
+        signal,
+      });
+
+      for await (const line of readLines(response)) {
+        const data = JSON.parse(line);
+        if (data.error) throw new Error(`Ollama API error: ${data.error}`);
+
+        const delta = data.message?.content || "";
+        if (delta) {
+          append(delta);
+          onDelta(delta);
+        }
+      }
+    }),
+
+  embed: async (model, text) => {
+    const response = await postJson(`${baseUrl}/api/embeddings`, {
+      body: { model, prompt: text },
+      timeout: 30000,
+    });
+
+    const data = await response.json();
+    if (!data.embedding) throw new Error("No embedding returned from Ollama");
+    return data.embedding;
+  },
+
+  listModels: async () => {
+    const data = await getJson(`${baseUrl}/api/tags`);
+    return (data.models || []).map((model) => ({ id: model.name, details: model.details || {} }));
+  },
+
+  // Context length and capabilities ("completion", "vision", "tools",
+  // "embedding") of an installed model; older servers omit capabilities
+  describeModel: async (model) => {
+    const response = await postJson(`${baseUrl}/api/show`, {
+      body: { model },
+      timeout: 15000,
+    });
+
+    const data = await response.json();
+    const info = data.model_info || {};
+    const contextKey = Object.keys(info).find((key) => key.endsWith(".context_length"));
+
+    return {
+      contextLength: contextKey ? info[contextKey] : null,
+      capabilities: data.capabilities || null,
+      families: data.details?.families || [],
+    };
+  },
+});
+
+module.exports = { createOllamaProvider };
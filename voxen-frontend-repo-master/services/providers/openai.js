@@ -0,0 +1,74 @@
+// services/providers/openai.js
+const { postJson, getJson, readLines, collectStream } = require("./http");
+
+// Adapter for OpenAI and OpenAI-compatible APIs (OpenRouter, LM Studio, vLLM...)
+const createOpenAIProvider = ({ name = "openai", baseUrl, apiKey }) => {
+  const headers = { Authorization: `Bearer ${apiKey}` };
+
+  return {
+    name,
+
+    chat: async (model, messages, { signal } = {}) => {
+      const response = await postJson(`${baseUrl}/chat/completions`, {
+        headers,
+        body: { model, messages },
+        signal,
+        timeout: 120000,
+      });
+
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+      if (typeof content !== "string") throw new Error(`No reply returned from ${name}`);
+      return content;
+    },
+
+    // Server-sent events: "data: {...}" lines ending with "data: [DONE]"
+    streamChat: (model, messages, { signal, onDelta }) =>
+      collectStream(async (append) => {
+        const response = await postJson(`${baseUrl}/chat/completions`, {
+          headers,
+          body: { model, messages, stream: true },
+          signal,
+        });
+
+        for await (const line of readLines(response)) {
+          if (!line.startsWith("data:")) continue;
+          const payload = line.slice(5).trim();
+          if (payload === "[DONE]") break;
+
+          const delta = JSON.parse(payload).choices?.[0]?.delta?.content || "";
+          if (delta) {
+            append(delta);
+            onDelta(delta);
+          }
+        }
+      }),
+
+    embed: async (model, text) => {
+      const response = await postJson(`${baseUrl}/embeddings`, {
+        headers,
+        body: { model, input: text },
+        timeout: 30000,
+      });
+
+      const data = await response.json();
+      const embedding = data.data?.[0]?.embedding;
+      if (!embedding) throw new Error(`No embedding returned from ${name}`);
+      return embedding;
+    },
+
+    listModels: async () => {
+      const data = await getJson(`${baseUrl}/models`, { headers });
+      // OpenRouter also reports context length, modalities and parameters
+      return (data.data || []).map((model) => ({
+        id: model.id,
+        displayName: model.name,
+        contextLength: model.context_length || null,
+        inputModalities: model.architecture?.input_modalities || null,
+        supportedParameters: model.supported_parameters || null,
+      }));
+    },
+  };
+};
+
+module.exports = { createOpenAIProvider };
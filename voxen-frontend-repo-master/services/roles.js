@@ -0,0 +1,15 @@
+// services/roles.js
+
+// From least to most privileged; each role can do everything the ones before it can
+const ROLES = ["user", "moderator", "admin"];
+
+const isRole = (role) => ROLES.includes(role);
+
+// Whether someone with this role may use something that needs `required`
+const hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+// Staff may manage accounts below their own role; admins may also manage other admins
+const canManage = (actorRole, targetRole) =>
+  actorRole === "admin" || ROLES.indexOf(actorRole) > ROLES.indexOf(targetRole);
+
+module.exports = { ROLES, isRole, hasRole, canManage };
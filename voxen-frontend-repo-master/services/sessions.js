@@ -0,0 +1,290 @@
+// services/sessions.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const pool = require("../config/db");
+require("dotenv").config();
+
+const JWT_SECRET = process.env.JWT_SECRET || "your-jwt-secret";
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// OAuth sign-in codes are exchanged by the page the provider redirects to
+const AUTH_CODE_TTL_SECONDS = parseInt(process.env.AUTH_CODE_TTL_SECONDS) || 60;
+
+// Don't write last_seen_at on every request
+const LAST_SEEN_INTERVAL_SECONDS = 60;
+
+// Refresh tokens are random strings; only their SHA-256 is stored
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const sessionError = (message, code, status = 401) => Object.assign(new Error(message), { status, code });
+
+const BROWSERS = [["Edg/", "Edge"], ["OPR/", "Opera"], ["Chrome/", "Chrome"], ["Firefox/", "Firefox"], ["Safari/", "Safari"]];
+const SYSTEMS = [["Windows", "Windows"], ["Android", "Android"], ["iPhone", "iOS"], ["iPad", "iOS"], ["Mac OS", "macOS"], ["Linux", "Linux"]];
+
+// "Chrome on Windows" style label for the sessions list
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browser = BROWSERS.find(([marker]) => userAgent.includes(marker));
+  const system = SYSTEMS.find(([marker]) => userAgent.includes(marker));
+  if (!browser && !system) return userAgent.substring(0, 100);
+
+  return [browser ? browser[1] : "Unknown browser", system && system[1]].filter(Boolean).join(" on ");
+};
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ id: user.id, email: user.email, username: user.username, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+const issueRefreshToken = async (db, sessionId) => {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const result = await db.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(days => $3))
+     RETURNING id`,
+    [sessionId, hashToken(token), REFRESH_TOKEN_TTL_DAYS]
+  );
+  return { token, id: result.rows[0].id };
+};
+
+// Start a session for a user who just signed in. Every sign-in path ends
+// here, so this is where suspended accounts are turned away.
+const createSession = async (user, req, db = pool) => {
+  const userAgent = req.get("user-agent") || null;
+
+  const account = await db.query("SELECT suspended_at FROM users WHERE id = $1", [user.id]);
+  if (account.rows[0]?.suspended_at) {
+    throw sessionError("This account has been suspended", "account_suspended", 403);
+  }
+
+  const result = await db.query(
+    `INSERT INTO sessions (user_id, user_agent, device, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+     RETURNING id`,
+    [user.id, userAgent, describeDevice(userAgent), req.ip, REFRESH_TOKEN_TTL_DAYS]
+  );
+  const sessionId = result.rows[0].id;
+  const refresh = await issueRefreshToken(db, sessionId);
+
+  return { token: signAccessToken(user, sessionId), refreshToken: refresh.token, sessionId };
+};
+
+// Swap a refresh token for a new access/refresh pair. Each refresh token
+// works once; presenting a used one means it was copied, so the whole
+// session is revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at < NOW() AS expired,
+              s.revoked_at, u.id AS user_id, u.email, u.username
+       FROM refresh_tokens rt
+       JOIN sessions s ON rt.session_id = s.id
+       JOIN users u ON s.user_id = u.id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt, s`,
+      [hashToken(refreshToken)]
+    );
+
+    if (result.rows.length === 0) throw sessionError("Invalid refresh token", "invalid_refresh_token");
+
+    const row = result.rows[0];
+    if (row.revoked_at) throw sessionError("Session has been revoked", "session_revoked");
+
+    if (row.used_at) {
+      await client.query(
+        `UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse' WHERE id = $1`,
+        [row.session_id]
+      );
+      await client.query("COMMIT");
+      console.warn(`🚨 Refresh token reuse detected, session ${row.session_id} revoked`);
+      throw sessionError("Refresh token already used; session revoked", "refresh_token_reuse");
+    }
+
+    if (row.expired) throw sessionError("Refresh token expired", "refresh_token_expired");
+
+    const next = await issueRefreshToken(client, row.session_id);
+    await client.query("UPDATE refresh_tokens SET used_at = NOW(), replaced_by = $2 WHERE id = $1", [
+      row.id,
+      next.id,
+    ]);
+    await client.query(
+      `UPDATE sessions
+       SET last_seen_at = NOW(), ip_address = $2, expires_at = NOW() + make_interval(days => $3)
+       WHERE id = $1`,
+      [row.session_id, req.ip, REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    await client.query("COMMIT");
+
+    const user = { id: row.user_id, email: row.email, username: row.username };
+    return { token: signAccessToken(user, row.session_id), refreshToken: next.token, sessionId: row.session_id };
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// One-time code handed to the browser after an OAuth sign-in, so tokens
+// never travel in the redirect URL
+const createAuthCode = async (userId) => {
+  const code = crypto.randomBytes(32).toString("base64url");
+  await pool.query(
+    `INSERT INTO auth_codes (code_hash, user_id, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(secs => $3))`,
+    [hashToken(code), userId, AUTH_CODE_TTL_SECONDS]
+  );
+  return code;
+};
+
+const authCodeError = (message, code) => Object.assign(new Error(message), { status: 400, code });
+
+// Trade an authorization code for a new session. A replayed code means the
+// redirect URL leaked, so the session it already produced is revoked.
+// requireSecondFactor(user) can hold the session back for a 2FA step.
+const exchangeAuthCode = async (code, req, { requireSecondFactor } = {}) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `SELECT ac.user_id, ac.used_at, ac.session_id, ac.expires_at < NOW() AS expired
+       FROM auth_codes ac
+       WHERE ac.code_hash = $1
+       FOR UPDATE`,
+      [hashToken(code)]
+    );
+
+    if (result.rows.length === 0) throw authCodeError("Invalid authorization code", "invalid_auth_code");
+
+    const row = result.rows[0];
+    if (row.used_at) {
+      if (row.session_id) {
+        await client.query(
+          `UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'auth_code_reuse'
+           WHERE id = $1 AND revoked_at IS NULL`,
+          [row.session_id]
+        );
+      }
+      await client.query("COMMIT");
+      console.warn(`🚨 Authorization code reuse detected for user ${row.user_id}`);
+      throw authCodeError("Authorization code already used", "auth_code_reuse");
+    }
+
+    if (row.expired) throw authCodeError("Authorization code expired", "auth_code_expired");
+
+    const userResult = await client.query(
+      "SELECT id, full_name, email, username, profile_picture, email_verified, created_at FROM users WHERE id = $1",
+      [row.user_id]
+    );
+    const user = userResult.rows[0];
+
+    // The sign-in continues with a second factor; no session yet
+    if (requireSecondFactor && (await requireSecondFactor(user))) {
+      await client.query("UPDATE auth_codes SET used_at = NOW() WHERE code_hash = $1", [hashToken(code)]);
+      await client.query("COMMIT");
+      return { user, secondFactorRequired: true };
+    }
+
+    const session = await createSession(user, req, client);
+
+    await client.query("UPDATE auth_codes SET used_at = NOW(), session_id = $2 WHERE code_hash = $1", [
+      hashToken(code),
+      session.sessionId,
+    ]);
+
+    await client.query("COMMIT");
+    return { ...session, user };
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// The session if it is neither revoked nor expired, with the account state
+// requests are checked against; also records activity
+const getActiveSession = async (sessionId) => {
+  const result = await pool.query(
+    `SELECT s.id, u.email_verified, u.role, u.suspended_at IS NOT NULL AS suspended,
+            s.last_seen_at < NOW() - make_interval(secs => $2) AS stale
+     FROM sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [sessionId, LAST_SEEN_INTERVAL_SECONDS]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const session = result.rows[0];
+  if (session.stale) {
+    pool.query("UPDATE sessions SET last_seen_at = NOW() WHERE id = $1", [sessionId]).catch((error) => {
+      console.error("❌ Failed to update session activity:", error.message);
+    });
+  }
+  return { id: session.id, emailVerified: session.email_verified, role: session.role, suspended: session.suspended };
+};
+
+const listSessions = async (userId) => {
+  const result = await pool.query(
+    `SELECT id, device, user_agent, ip_address, created_at, last_seen_at, expires_at
+     FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+const revokeSession = async (userId, sessionId, reason = "logout") => {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [sessionId, userId, reason]
+  );
+  return result.rows.length > 0;
+};
+
+// except: a session to keep, e.g. the one that changed the password
+const revokeAllSessions = async (userId, reason = "logout_all", { except } = {}) => {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($3::integer IS NULL OR id <> $3)`,
+    [userId, reason, except ?? null]
+  );
+  return result.rowCount;
+};
+
+// Logout with only a refresh token (e.g. the access token already expired)
+const revokeSessionByRefreshToken = async (refreshToken) => {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'logout'
+     WHERE revoked_at IS NULL
+       AND id = (SELECT session_id FROM refresh_tokens WHERE token_hash = $1)
+     RETURNING id`,
+    [hashToken(refreshToken)]
+  );
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  createAuthCode,
+  exchangeAuthCode,
+  getActiveSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  revokeSessionByRefreshToken,
+};
@@ -0,0 +1,281 @@
+// services/twoFactor.js
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const pool = require("../config/db");
+const { encrypt, decrypt } = require("./keyVault");
+require("dotenv").config();
+
+const ISSUER = process.env.TOTP_ISSUER || "Voxen";
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code too, for clock drift
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const MFA_CHALLENGE_TTL_SECONDS = parseInt(process.env.MFA_CHALLENGE_TTL_SECONDS) || 300;
+const MFA_MAX_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 character");
+    bits += value.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// RFC 6238 code for one 30-second step
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / PERIOD_SECONDS);
+
+// The step the code belongs to, or null. Steps at or before lastUsedStep are
+// refused so a code can't be replayed.
+const matchTotp = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if (step <= lastUsedStep) continue;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+};
+
+const readSecret = (row) =>
+  decrypt({ encrypted_key: row.encrypted_secret, iv: row.iv, auth_tag: row.auth_tag });
+
+const getTwoFactor = async (userId) => {
+  const result = await pool.query("SELECT * FROM user_totp WHERE user_id = $1", [userId]);
+  return result.rows[0] || null;
+};
+
+const isTwoFactorEnabled = async (userId) => {
+  const row = await getTwoFactor(userId);
+  return Boolean(row && row.enabled_at);
+};
+
+// Start (or restart) enrollment with a new secret; 2FA stays off until a
+// first code is confirmed
+const beginEnrollment = async (user) => {
+  const existing = await getTwoFactor(user.id);
+  if (existing && existing.enabled_at) {
+    throw Object.assign(new Error("Two-factor authentication is already enabled"), { status: 409 });
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  const { encryptedKey, iv, authTag } = encrypt(secret);
+
+  await pool.query(
+    `INSERT INTO user_totp (user_id, encrypted_secret, iv, auth_tag)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id) DO UPDATE
+     SET encrypted_secret = EXCLUDED.encrypted_secret, iv = EXCLUDED.iv, auth_tag = EXCLUDED.auth_tag,
+         enabled_at = NULL, last_used_step = NULL, created_at = NOW()`,
+    [user.id, encryptedKey, iv, authTag]
+  );
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const otpauthUri =
+    `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD_SECONDS}`;
+  const qrCode = await QRCode.toDataURL(otpauthUri);
+
+  return { secret, otpauthUri, qrCode };
+};
+
+// Store fresh recovery codes (replacing any old ones) and return them in
+// plain text, the only time they are shown
+const generateRecoveryCodes = async (userId, db = pool) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query("DELETE FROM recovery_codes WHERE user_id = $1", [userId]);
+  for (const code of codes) {
+    await db.query("INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)", [userId, hashToken(code)]);
+  }
+  return codes;
+};
+
+// Turn 2FA on with the first code from the authenticator app
+const confirmEnrollment = async (userId, code) => {
+  const row = await getTwoFactor(userId);
+  if (!row) {
+    throw Object.assign(new Error("Start two-factor setup first"), { status: 400 });
+  }
+  if (row.enabled_at) {
+    throw Object.assign(new Error("Two-factor authentication is already enabled"), { status: 409 });
+  }
+
+  const step = matchTotp(readSecret(row), code);
+  if (step === null) {
+    throw Object.assign(new Error("Invalid authentication code"), { status: 400, code: "invalid_mfa_code" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query("UPDATE user_totp SET enabled_at = NOW(), last_used_step = $2 WHERE user_id = $1", [
+      userId,
+      step,
+    ]);
+    const recoveryCodes = await generateRecoveryCodes(userId, client);
+    await client.query("COMMIT");
+    return recoveryCodes;
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Check an authenticator code or, failing that, a recovery code (used up)
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const row = await getTwoFactor(userId);
+  if (!row || !row.enabled_at) return false;
+
+  if (code) {
+    const step = matchTotp(readSecret(row), code, row.last_used_step ?? -1);
+    if (step === null) return false;
+
+    // Conditional update so two requests can't both use the same code
+    const result = await pool.query(
+      `UPDATE user_totp SET last_used_step = $2
+       WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)`,
+      [userId, step]
+    );
+    return result.rowCount > 0;
+  }
+
+  if (recoveryCode) {
+    const normalized = String(recoveryCode).trim().toLowerCase();
+    const result = await pool.query(
+      `UPDATE recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, hashToken(normalized)]
+    );
+    if (result.rows.length > 0) console.log(`🔑 Recovery code used by user ${userId}`);
+    return result.rows.length > 0;
+  }
+
+  return false;
+};
+
+const disableTwoFactor = async (userId) => {
+  await pool.query("DELETE FROM recovery_codes WHERE user_id = $1", [userId]);
+  await pool.query("DELETE FROM user_totp WHERE user_id = $1", [userId]);
+};
+
+const getTwoFactorStatus = async (userId) => {
+  const row = await getTwoFactor(userId);
+  const remaining = await pool.query(
+    "SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL",
+    [userId]
+  );
+  return {
+    enabled: Boolean(row && row.enabled_at),
+    enabledAt: row?.enabled_at || null,
+    recoveryCodesRemaining: parseInt(remaining.rows[0].count),
+  };
+};
+
+// Short-lived token standing for "password (or Google) OK, code still due".
+// It can't call the API; only POST /api/auth/2fa/verify accepts it.
+const createMfaChallenge = async (userId, method) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await pool.query(
+    `INSERT INTO mfa_challenges (token_hash, user_id, method, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))`,
+    [hashToken(token), userId, method, MFA_CHALLENGE_TTL_SECONDS]
+  );
+  return token;
+};
+
+const challengeInvalid = () =>
+  Object.assign(new Error("Sign-in expired or too many attempts. Please sign in again"), {
+    status: 401,
+    code: "mfa_challenge_invalid",
+  });
+
+// The user a live challenge belongs to, without counting an attempt
+const getMfaChallengeUserId = async (token) => {
+  const result = await pool.query(
+    `SELECT user_id FROM mfa_challenges
+     WHERE token_hash = $1 AND completed_at IS NULL AND expires_at > NOW() AND attempts < $2`,
+    [hashToken(token), MFA_MAX_ATTEMPTS]
+  );
+  if (result.rows.length === 0) throw challengeInvalid();
+  return result.rows[0].user_id;
+};
+
+// Count an attempt against the challenge and return its user, or throw if
+// it is unknown, expired, finished or out of attempts
+const useMfaChallenge = async (token) => {
+  const result = await pool.query(
+    `UPDATE mfa_challenges SET attempts = attempts + 1
+     WHERE token_hash = $1 AND completed_at IS NULL AND expires_at > NOW() AND attempts < $2
+     RETURNING user_id, method`,
+    [hashToken(token), MFA_MAX_ATTEMPTS]
+  );
+  if (result.rows.length === 0) throw challengeInvalid();
+  return result.rows[0];
+};
+
+// False if another request already finished this challenge
+const completeMfaChallenge = async (token) => {
+  const result = await pool.query(
+    "UPDATE mfa_challenges SET completed_at = NOW() WHERE token_hash = $1 AND completed_at IS NULL",
+    [hashToken(token)]
+  );
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  generateTotp,
+  currentStep,
+  isTwoFactorEnabled,
+  beginEnrollment,
+  confirmEnrollment,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  createMfaChallenge,
+  getMfaChallengeUserId,
+  useMfaChallenge,
+  completeMfaChallenge,
+};
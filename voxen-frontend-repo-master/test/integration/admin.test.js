@@ -0,0 +1,31 @@
+// test/integration/admin.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, registerUser } = require("../support/harness");
+
+let app;
+let admin;
+before(async () => {
+  app = await startApp();
+  admin = await registerUser(app.api, "admin");
+  await app.pool.query("UPDATE users SET role = 'admin' WHERE id = $1", [admin.id]);
+});
+after(() => app?.stop());
+
+test("a forced password reset ends the account's sessions and personal access tokens", async () => {
+  const user = await registerUser(app.api, "compromised");
+  const created = await app.api.post("/user/tokens", { name: "script", scopes: ["chat:read"] }, { headers: user.headers });
+  assert.equal(created.status, 201);
+  const withToken = { headers: { Authorization: `Bearer ${created.data.token}` } };
+  assert.equal((await app.api.get("/chat/conversations", withToken)).status, 200);
+
+  const reset = await app.api.post(`/admin/users/${user.id}/password-reset`, {}, { headers: admin.headers });
+  assert.equal(reset.status, 200);
+  assert.equal(reset.data.sessionsRevoked, 1);
+  assert.equal(reset.data.tokensRevoked, 1);
+
+  assert.equal((await app.api.get("/auth/profile", { headers: user.headers })).status, 401);
+  const tokenAfter = await app.api.get("/chat/conversations", withToken);
+  assert.equal(tokenAfter.status, 401);
+  assert.equal(tokenAfter.data.code, "invalid_token");
+});
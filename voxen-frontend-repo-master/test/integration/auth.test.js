@@ -0,0 +1,147 @@
+// test/integration/auth.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { PASSWORD, startApp, readLatestMail, waitFor, registerUser } = require("../support/harness");
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app?.stop());
+
+test("registering returns a session for the new, unverified account", async () => {
+  const user = await registerUser(app.api, "ada");
+
+  assert.ok(user.token);
+  assert.ok(user.refreshToken);
+  assert.equal(user.email_verified, false);
+
+  const profile = await app.api.get("/auth/profile", { headers: user.headers });
+  assert.equal(profile.status, 200);
+  assert.equal(profile.data.user.id, user.id);
+});
+
+test("registration rejects missing fields, weak passwords and taken addresses", async () => {
+  const missing = await app.api.post("/auth/register", { email: "nobody@example.com" });
+  assert.equal(missing.status, 400);
+
+  const weak = await app.api.post("/auth/register", {
+    fullName: "Weak Password",
+    email: "weak@example.com",
+    username: "weak",
+    password: "short",
+  });
+  assert.equal(weak.status, 400);
+  assert.equal(weak.data.code, "weak_password");
+
+  await registerUser(app.api, "grace");
+  const taken = await app.api.post("/auth/register", {
+    fullName: "Grace Again",
+    email: "grace@example.com",
+    username: "grace2",
+    password: PASSWORD,
+  });
+  assert.equal(taken.status, 400);
+  assert.equal(taken.data.error, "Email already registered");
+});
+
+test("the emailed link verifies the address once", async () => {
+  const user = await registerUser(app.api, "linus");
+
+  // Sent without holding up the sign-up
+  const mail = await waitFor(() => readLatestMail(app.mailDir, user.email), { message: "No verification mail" });
+  const token = /verifyEmail=([\w-]+)/.exec(mail.text)[1];
+
+  const verified = await app.api.post("/auth/verify-email", { token });
+  assert.equal(verified.status, 200);
+
+  const row = await app.pool.query("SELECT email_verified FROM users WHERE id = $1", [user.id]);
+  assert.equal(row.rows[0].email_verified, true);
+
+  const reused = await app.api.post("/auth/verify-email", { token });
+  assert.equal(reused.status, 400);
+  assert.equal(reused.data.code, "invalid_token");
+});
+
+test("login needs the right password", async () => {
+  const user = await registerUser(app.api, "margaret");
+
+  const wrong = await app.api.post("/auth/login", { email: user.email, password: "Wrong-password-123!" });
+  assert.equal(wrong.status, 401);
+
+  const unknown = await app.api.post("/auth/login", { email: "nobody@example.com", password: PASSWORD });
+  assert.equal(unknown.status, 401);
+  assert.deepEqual(unknown.data, wrong.data);
+
+  const login = await app.api.post("/auth/login", { email: user.email, password: PASSWORD });
+  assert.equal(login.status, 200);
+  assert.equal(login.data.user.id, user.id);
+  assert.ok(login.data.token);
+});
+
+test("refresh tokens rotate, and a reused one revokes the session", async () => {
+  const user = await registerUser(app.api, "barbara");
+
+  const refreshed = await app.api.post("/auth/refresh", { refreshToken: user.refreshToken });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.data.refreshToken, user.refreshToken);
+
+  const reused = await app.api.post("/auth/refresh", { refreshToken: user.refreshToken });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.data.code, "refresh_token_reuse");
+
+  const afterReuse = await app.api.post("/auth/refresh", { refreshToken: refreshed.data.refreshToken });
+  assert.equal(afterReuse.status, 401);
+});
+
+test("protected routes need a live session", async () => {
+  const user = await registerUser(app.api, "edsger");
+
+  const anonymous = await app.api.get("/auth/profile");
+  assert.equal(anonymous.status, 401);
+
+  const forged = await app.api.get("/auth/profile", { headers: { Authorization: "Bearer not-a-jwt" } });
+  assert.equal(forged.status, 403);
+
+  const logout = await app.api.post("/auth/logout", {}, { headers: user.headers });
+  assert.equal(logout.status, 200);
+  assert.equal(logout.data.revoked, true);
+
+  const afterLogout = await app.api.get("/auth/profile", { headers: user.headers });
+  assert.equal(afterLogout.status, 401);
+  assert.equal(afterLogout.data.code, "session_revoked");
+});
+
+test("wrong current passwords are throttled along with sign-ins", async () => {
+  const user = await registerUser(app.api, "alan");
+  const changePassword = (currentPassword) =>
+    app.api.put("/user/password", { currentPassword, newPassword: "An0ther-secret-pass!" }, { headers: user.headers });
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.equal((await changePassword("Wrong-password-123!")).status, 401);
+  }
+
+  const throttled = await changePassword(PASSWORD);
+  assert.equal(throttled.status, 429);
+  assert.equal(throttled.data.code, "too_many_attempts");
+  assert.ok(Number(throttled.headers["retry-after"]) > 0);
+
+  // The same account counter guards /login
+  const login = await app.api.post("/auth/login", { email: user.email, password: PASSWORD });
+  assert.equal(login.status, 429);
+});
+
+test("wrong passwords when deleting the account are throttled", async () => {
+  const user = await registerUser(app.api, "hopper");
+  const requestDeletion = (password) => app.api.post("/user/deletion", { password }, { headers: user.headers });
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.equal((await requestDeletion("Wrong-password-123!")).status, 401);
+  }
+  const throttled = await requestDeletion(PASSWORD);
+  assert.equal(throttled.status, 429);
+  assert.equal(throttled.data.code, "too_many_attempts");
+
+  const row = await app.pool.query("SELECT deletion_scheduled_for FROM users WHERE id = $1", [user.id]);
+  assert.equal(row.rows[0].deletion_scheduled_for, null);
+});
@@ -0,0 +1,106 @@
+// test/integration/authorization.test.js
+// One user must not be able to read, search, change or delete another
+// user's chats. Alice owns a conversation; Bob tries everything on it.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, registerUser, waitForEmbeddings } = require("../support/harness");
+
+const SECRET = "Alice secret: the launch code is ZEBRA-42";
+
+let app;
+let alice;
+let bob;
+let conversationId;
+let messageId;
+before(async () => {
+  app = await startApp();
+  alice = await registerUser(app.api, "alice");
+  bob = await registerUser(app.api, "bob");
+
+  const saved = await app.api.post(
+    "/chat/save",
+    { userMessage: SECRET, aiMessage: "Noted, I will keep ZEBRA-42 safe." },
+    { headers: alice.headers }
+  );
+  conversationId = saved.data.conversationId;
+  const messages = await app.api.get(`/chat/messages/${conversationId}`, { headers: alice.headers });
+  messageId = messages.data.messages[0].id;
+  await waitForEmbeddings(app.api, alice, 2);
+});
+after(() => app?.stop());
+
+const asBob = () => ({ headers: bob.headers });
+
+test("chat routes need a session", async () => {
+  assert.equal((await app.api.get("/chat/conversations")).status, 401);
+  assert.equal((await app.api.get(`/chat/messages/${conversationId}`)).status, 401);
+});
+
+test("another user can't read the conversation", async () => {
+  assert.equal((await app.api.get(`/chat/messages/${conversationId}`, asBob())).status, 404);
+  assert.equal((await app.api.get(`/chat/conversations/${conversationId}/summary`, asBob())).status, 404);
+  assert.equal((await app.api.get(`/chat/messages/${messageId}/branches`, asBob())).status, 404);
+
+  // Naming Alice's account is refused outright
+  assert.equal((await app.api.get(`/chat/conversations/${alice.id}`, asBob())).status, 403);
+  assert.equal((await app.api.get(`/chat/conversations?userId=${alice.id}`, asBob())).status, 403);
+  assert.equal((await app.api.get(`/chat/stats/${alice.id}`, asBob())).status, 403);
+
+  const list = await app.api.get("/chat/conversations", asBob());
+  assert.equal(list.status, 200);
+  assert.ok(!list.data.conversations.some((conversation) => conversation.id === conversationId));
+});
+
+test("another user's searches don't find the conversation", async () => {
+  const search = await app.api.post("/chat/search", { query: "ZEBRA-42" }, asBob());
+  assert.equal(search.status, 200);
+  assert.equal(search.data.results.length, 0);
+
+  const filtered = await app.api.post(
+    "/chat/search",
+    { query: "ZEBRA-42", filters: { conversationIds: [conversationId] } },
+    asBob()
+  );
+  assert.equal(filtered.status, 200);
+  assert.equal(filtered.data.results.length, 0);
+
+  const asAlice = await app.api.post("/chat/search", { query: "ZEBRA-42", userId: alice.id }, asBob());
+  assert.equal(asAlice.status, 403);
+});
+
+test("another user can't rename, pin, edit, regenerate, add to or delete the conversation", async () => {
+  const attempts = {
+    rename: () => app.api.patch(`/chat/conversations/${conversationId}/title`, { title: "pwned" }, asBob()),
+    pin: () => app.api.patch(`/chat/conversations/${conversationId}/pin`, {}, asBob()),
+    edit: () => app.api.post(`/chat/messages/${messageId}/edit`, { content: "pwned" }, asBob()),
+    regenerate: () => app.api.post(`/chat/messages/${messageId}/regenerate`, {}, asBob()),
+    append: () => app.api.post("/chat/save", { conversationId, userMessage: "injected", aiMessage: "injected" }, asBob()),
+    delete: () => app.api.delete(`/chat/conversations/${conversationId}`, asBob()),
+  };
+  for (const [action, attempt] of Object.entries(attempts)) {
+    assert.equal((await attempt()).status, 404, action);
+  }
+
+  const messages = await app.api.get(`/chat/messages/${conversationId}`, { headers: alice.headers });
+  assert.equal(messages.status, 200);
+  assert.equal(messages.data.messages.length, 2);
+  assert.equal(messages.data.messages[0].content, SECRET);
+
+  const list = await app.api.get("/chat/conversations", { headers: alice.headers });
+  const [conversation] = list.data.conversations;
+  assert.notEqual(conversation.title, "pwned");
+  assert.equal(conversation.is_pinned, false);
+});
+
+test("the owner can still rename and delete the conversation", async () => {
+  const renamed = await app.api.patch(
+    `/chat/conversations/${conversationId}/title`,
+    { title: "Launch codes" },
+    { headers: alice.headers }
+  );
+  assert.equal(renamed.status, 200);
+
+  const deleted = await app.api.delete(`/chat/conversations/${conversationId}`, { headers: alice.headers });
+  assert.equal(deleted.status, 200);
+  assert.equal((await app.api.get(`/chat/messages/${conversationId}`, { headers: alice.headers })).status, 404);
+});
@@ -0,0 +1,200 @@
+// test/integration/conversations.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, registerUser, waitFor } = require("../support/harness");
+
+let app;
+let owner;
+let other;
+before(async () => {
+  app = await startApp();
+  owner = await registerUser(app.api, "owner");
+  other = await registerUser(app.api, "other");
+});
+after(() => app?.stop());
+
+test("conversations can be created, renamed, pinned and deleted", async () => {
+  const created = await app.api.post("/chat/conversations", { title: "Trip planning" }, { headers: owner.headers });
+  assert.equal(created.status, 201);
+  assert.equal(created.data.user_id, owner.id);
+  // No model given and none configured: the built-in default
+  assert.equal(created.data.model_used, "qwen2.5:0.5b");
+  const conversationId = created.data.id;
+
+  const renamed = await app.api.patch(
+    `/chat/conversations/${conversationId}/title`,
+    { title: "Trip to Lisbon" },
+    { headers: owner.headers }
+  );
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.data.title, "Trip to Lisbon");
+
+  const pinned = await app.api.patch(`/chat/conversations/${conversationId}/pin`, {}, { headers: owner.headers });
+  assert.equal(pinned.status, 200);
+  assert.equal(pinned.data.is_pinned, true);
+
+  const list = await app.api.get("/chat/conversations", { headers: owner.headers });
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.data.conversations.map((conversation) => conversation.id), [conversationId]);
+
+  const deleted = await app.api.delete(`/chat/conversations/${conversationId}`, { headers: owner.headers });
+  assert.equal(deleted.status, 200);
+
+  const gone = await app.api.get("/chat/conversations", { headers: owner.headers });
+  assert.equal(gone.data.conversations.length, 0);
+});
+
+test("saveChatMessages starts a conversation and names it in the background", async () => {
+  const saved = await app.api.post(
+    "/chat/save",
+    { userMessage: "How do I boil an egg?", aiMessage: "Simmer it for nine minutes." },
+    { headers: owner.headers }
+  );
+  assert.equal(saved.status, 200);
+  assert.equal(saved.data.success, true);
+  const { conversationId } = saved.data;
+
+  const messages = await app.api.get(`/chat/messages/${conversationId}`, { headers: owner.headers });
+  assert.equal(messages.status, 200);
+  assert.deepEqual(
+    messages.data.messages.map((message) => [message.sender, message.content]),
+    [["user", "How do I boil an egg?"], ["ai", "Simmer it for nine minutes."]]
+  );
+  assert.equal(messages.data.messages[1].parent_id, messages.data.messages[0].id);
+  assert.equal(messages.data.activeLeafId, messages.data.messages[1].id);
+
+  // The title starts as the first message and is replaced by the model's
+  const title = await waitFor(async () => {
+    const list = await app.api.get("/chat/conversations", { headers: owner.headers });
+    const conversation = list.data.conversations.find((candidate) => candidate.id === conversationId);
+    return conversation.title.startsWith("Stub reply") && conversation.title;
+  }, { message: "Conversation was not titled" });
+  assert.ok(title.length <= 60);
+  assert.ok(app.ollama.requests.some((request) => request.path === "/api/chat" && request.body.stream === false));
+});
+
+test("saveChatMessages appends to the active branch of an existing conversation", async () => {
+  const first = await app.api.post(
+    "/chat/save",
+    { userMessage: "Name a prime number", aiMessage: "Seven." },
+    { headers: owner.headers }
+  );
+  const { conversationId } = first.data;
+
+  const second = await app.api.post(
+    "/chat/save",
+    { conversationId, userMessage: "Another one?", aiMessage: "Eleven.", model_used: "llama3.2" },
+    { headers: owner.headers }
+  );
+  assert.equal(second.status, 200);
+  assert.equal(second.data.conversationId, conversationId);
+  assert.equal(second.data.modelUsed, "llama3.2");
+
+  const messages = await app.api.get(`/chat/messages/${conversationId}`, { headers: owner.headers });
+  const path = messages.data.messages;
+  assert.deepEqual(path.map((message) => message.content), ["Name a prime number", "Seven.", "Another one?", "Eleven."]);
+  for (let i = 1; i < path.length; i++) assert.equal(path[i].parent_id, path[i - 1].id);
+
+  const list = await app.api.get("/chat/conversations", { headers: owner.headers });
+  const conversation = list.data.conversations.find((candidate) => candidate.id === conversationId);
+  assert.equal(conversation.message_count, 4);
+  assert.equal(conversation.model_used, "llama3.2");
+});
+
+test("other users can't read or add to a conversation", async () => {
+  const saved = await app.api.post(
+    "/chat/save",
+    { userMessage: "My locker code is 4812", aiMessage: "I'll remember 4812." },
+    { headers: owner.headers }
+  );
+  const { conversationId } = saved.data;
+
+  const read = await app.api.get(`/chat/messages/${conversationId}`, { headers: other.headers });
+  assert.equal(read.status, 404);
+
+  const append = await app.api.post(
+    "/chat/save",
+    { conversationId, userMessage: "injected", aiMessage: "injected" },
+    { headers: other.headers }
+  );
+  assert.equal(append.status, 404);
+
+  const list = await app.api.get("/chat/conversations", { headers: other.headers });
+  assert.equal(list.data.conversations.length, 0);
+
+  const messages = await app.api.get(`/chat/messages/${conversationId}`, { headers: owner.headers });
+  assert.equal(messages.data.messages.length, 2);
+});
+
+test("summaries and regenerated titles follow the active branch", async () => {
+  const prompts = (system) =>
+    app.ollama.requests
+      .filter((request) => request.path === "/api/chat" && request.body.messages[0].content.startsWith(system))
+      .map((request) => request.body.messages[1].content);
+  const summaryPrompts = () => prompts("You write concise conversation summaries");
+
+  const first = await app.api.post(
+    "/chat/save",
+    { userMessage: "Plan a trip to Oslo", aiMessage: "Oslo is lovely in June." },
+    { headers: owner.headers }
+  );
+  const { conversationId } = first.data;
+  for (const day of ["Monday", "Tuesday", "Wednesday", "Thursday"]) {
+    await app.api.post(
+      "/chat/save",
+      { conversationId, userMessage: `What about ${day}?`, aiMessage: `${day} works.` },
+      { headers: owner.headers }
+    );
+  }
+
+  // Ten messages on the branch: summarized in the background
+  const summarized = await waitFor(async () => {
+    const summary = await app.api.get(`/chat/conversations/${conversationId}/summary`, { headers: owner.headers });
+    return summary.data.summary && summary.data;
+  }, { message: "Conversation was not summarized" });
+  assert.equal(summarized.messagesSummarized, 10);
+  const summariesBefore = summaryPrompts().length;
+
+  // Editing the last question starts a branch the summary doesn't cover,
+  // which has ten messages of its own
+  const messages = await app.api.get(`/chat/messages/${conversationId}`, { headers: owner.headers });
+  const thursday = messages.data.messages[8];
+  const edited = await app.api.post(
+    `/chat/messages/${thursday.id}/edit`,
+    { content: "What about Friday?" },
+    { headers: owner.headers }
+  );
+  assert.equal(edited.status, 201);
+
+  const prompt = await waitFor(() => summaryPrompts()[summariesBefore], { message: "Branch was not summarized" });
+  assert.match(prompt, /^Summarize this conversation:/);
+  assert.match(prompt, /What about Friday\?/);
+  assert.doesNotMatch(prompt, /Thursday/);
+
+  // Titles come from the first exchange of the active branch
+  const firstQuestion = messages.data.messages[0];
+  await app.api.post(`/chat/messages/${firstQuestion.id}/edit`, { content: "Plan a trip to Rome" }, { headers: owner.headers });
+  const titled = await app.api.post(`/chat/conversations/${conversationId}/title/regenerate`, {}, { headers: owner.headers });
+  assert.equal(titled.status, 200);
+  const titlePrompt = prompts("You name conversations").at(-1);
+  assert.match(titlePrompt, /^User: Plan a trip to Rome\n/);
+});
+
+test("provider errors stay out of chat responses", async () => {
+  app.ollama.failChat = true;
+  try {
+    const reply = await app.api.post("/chat", { message: "Hello?", model: "missing-model" }, { headers: owner.headers });
+    assert.equal(reply.status, 502);
+    assert.deepEqual(reply.data, { error: "Failed to generate response" });
+
+    const stream = await app.api.post(
+      "/chat/stream",
+      { message: "Hello?", model: "missing-model" },
+      { headers: owner.headers, responseType: "text" }
+    );
+    assert.match(stream.data, /event: error\ndata: {"error":"Failed to process chat message"}\n/);
+    assert.doesNotMatch(stream.data, /missing-model" not found/);
+  } finally {
+    app.ollama.failChat = false;
+  }
+});
@@ -0,0 +1,93 @@
+// test/integration/embeddings.test.js
+// Messages saved while Ollama can't embed are picked up later by the
+// backfill endpoint.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { EMBEDDING_DIMENSIONS, embed } = require("../support/ollamaStub");
+const { startApp, registerUser, waitFor } = require("../support/harness");
+
+let app;
+let owner;
+before(async () => {
+  app = await startApp();
+  owner = await registerUser(app.api, "backfiller");
+});
+after(() => app?.stop());
+
+const stats = async () => (await app.api.get("/chat/embeddings/stats", { headers: owner.headers })).data;
+const generate = (query = "") =>
+  app.api.post(`/chat/embeddings/generate${query}`, {}, { headers: owner.headers });
+
+test("messages saved while embeddings fail have none", async () => {
+  app.ollama.failEmbeddings = true;
+
+  const exchanges = [
+    ["Tell me about lighthouses", "Lighthouses guide ships along dangerous coasts."],
+    ["hi", "Hello there, how can I help?"],
+    ["What is a fjord?", "A narrow inlet carved by glaciers."],
+  ];
+  for (const [userMessage, aiMessage] of exchanges) {
+    const saved = await app.api.post("/chat/save", { userMessage, aiMessage }, { headers: owner.headers });
+    assert.equal(saved.status, 200);
+  }
+
+  // Every message but "hi" is attempted in the background; let them all fail
+  // before embeddings work again
+  await waitFor(
+    () => app.ollama.requests.filter((request) => request.path === "/api/embeddings").length >= 5,
+    { message: "Embeddings were not attempted" }
+  );
+  app.ollama.failEmbeddings = false;
+
+  const before = await stats();
+  assert.equal(before.total_messages, 6);
+  assert.equal(before.messages_with_embeddings, 0);
+});
+
+test("the backfill embeds missing messages in batches", async () => {
+  const firstBatch = await generate("?limit=2");
+  assert.equal(firstBatch.status, 200);
+  assert.equal(firstBatch.data.totalProcessed, 2);
+  assert.equal(firstBatch.data.successCount, 2);
+
+  const rest = await generate();
+  assert.equal(rest.status, 200);
+  // "hi" is too short to embed
+  assert.equal(rest.data.totalProcessed, 3);
+  assert.equal(rest.data.embeddingModel, "nomic-embed-text:latest");
+
+  const after = await stats();
+  assert.equal(after.messages_with_embeddings, 5);
+  assert.equal(after.messages_without_embeddings, 1);
+  assert.deepEqual(after.models, [{ model_name: "nomic-embed-text:latest", count: "5" }]);
+
+  const nothingLeft = await generate();
+  assert.equal(nothingLeft.data.totalProcessed, 0);
+  assert.equal(nothingLeft.data.message, "All messages already have embeddings");
+});
+
+test("stored embeddings are the model's vectors for the message", async () => {
+  const result = await app.pool.query(
+    `SELECT m.content, e.embedding_vector, e.model_name
+     FROM embeddings e
+     JOIN messages m ON e.message_id = m.id
+     JOIN conversations c ON m.conversation_id = c.id
+     WHERE c.user_id = $1`,
+    [owner.id]
+  );
+
+  assert.equal(result.rows.length, 5);
+  for (const row of result.rows) {
+    const vector = JSON.parse(row.embedding_vector);
+    assert.equal(vector.length, EMBEDDING_DIMENSIONS);
+    assert.deepEqual(vector, embed(row.content));
+  }
+});
+
+test("backfilled messages are found by semantic search", async () => {
+  const response = await app.api.post("/chat/search", { query: "glaciers" }, { headers: owner.headers });
+  assert.equal(response.status, 200);
+  assert.equal(response.data.searchType, "hybrid");
+  assert.equal(response.data.results[0].content, "A narrow inlet carved by glaciers.");
+  assert.ok(response.data.results[0].matchedBy.includes("semantic"));
+});
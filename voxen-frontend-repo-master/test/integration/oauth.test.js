@@ -0,0 +1,142 @@
+// test/integration/oauth.test.js
+// Google sign-in against test/support/oauthStub.js. Each test plays the
+// browser: it keeps the session cookie from the start of a sign-in and
+// brings the provider's redirect back to the callback.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startOAuthStub } = require("../support/oauthStub");
+const { PASSWORD, startApp, registerUser } = require("../support/harness");
+
+let app;
+let provider;
+before(async () => {
+  provider = await startOAuthStub();
+  app = await startApp({ env: provider.env });
+});
+after(async () => {
+  await app?.stop();
+  await provider?.close();
+});
+
+// Open /api/auth/google (optionally with ?link=...) in a fresh browser
+const startSignIn = async (query = "") => {
+  const response = await app.api.get(`/auth/google${query}`, { maxRedirects: 0 });
+  assert.equal(response.status, 302);
+  return {
+    cookie: response.headers["set-cookie"]?.[0].split(";")[0],
+    state: new URL(response.headers.location).searchParams.get("state"),
+  };
+};
+
+// Where the callback sends the browser
+const finishSignIn = async ({ cookie, state }) => {
+  const response = await app.api.get(`/auth/google/callback?code=stub-code&state=${encodeURIComponent(state)}`, {
+    maxRedirects: 0,
+    headers: cookie ? { Cookie: cookie } : {},
+  });
+  assert.equal(response.status, 302);
+  return response.headers.location;
+};
+
+const linkedProviders = async (user) =>
+  (await app.api.get("/auth/identities", { headers: user.headers })).data.identities.map((identity) => identity.provider);
+
+test("a sign-in completes in the browser that started it", async () => {
+  provider.profile = { sub: "google-new", email: "newcomer@example.com", email_verified: true, name: "New Comer" };
+
+  const location = await finishSignIn(await startSignIn());
+  const code = /^\/home\?code=(.+)$/.exec(location)?.[1];
+  assert.ok(code, location);
+
+  const exchanged = await app.api.post("/auth/exchange", { code });
+  assert.equal(exchanged.status, 200);
+  assert.equal(exchanged.data.user.email, "newcomer@example.com");
+});
+
+test("callbacks without the starting session's state are refused", async () => {
+  provider.profile = { sub: "google-other", email: "other@example.com", email_verified: true, name: "Other" };
+  const signIn = await startSignIn();
+
+  assert.equal(await finishSignIn({ state: signIn.state }), "/?error=provider_auth_failed");
+  assert.equal(await finishSignIn({ cookie: signIn.cookie, state: "forged" }), "/?error=provider_auth_failed");
+
+  // The state was spent by the failed attempt
+  assert.equal(await finishSignIn(signIn), "/?error=provider_auth_failed");
+
+  const users = await app.pool.query("SELECT 1 FROM users WHERE email = $1", ["other@example.com"]);
+  assert.equal(users.rows.length, 0);
+});
+
+test("a link started by one account can't be finished in another browser", async () => {
+  const attacker = await registerUser(app.api, "attacker");
+  const { data } = await app.api.post("/auth/identities/google/link", {}, { headers: attacker.headers });
+  const attackerBrowser = await startSignIn(new URL(data.redirectUrl, "http://app").search);
+
+  // The victim's browser brings the victim's Google account to the callback
+  provider.profile = { sub: "google-victim", email: "victim@example.com", email_verified: true, name: "Victim" };
+  const victimBrowser = await startSignIn();
+  const location = await finishSignIn({ cookie: victimBrowser.cookie, state: attackerBrowser.state });
+  assert.equal(location, "/?error=provider_auth_failed");
+  assert.deepEqual(await linkedProviders(attacker), []);
+
+  // Finished where it started, the link goes through
+  provider.profile = { sub: "google-attacker", email: "attacker-google@example.com", email_verified: true, name: "Own" };
+  const again = await app.api.post("/auth/identities/google/link", {}, { headers: attacker.headers });
+  const ownBrowser = await startSignIn(new URL(again.data.redirectUrl, "http://app").search);
+  assert.equal(await finishSignIn(ownBrowser), "/home?linked=google");
+  assert.deepEqual(await linkedProviders(attacker), ["google"]);
+});
+
+test("only a verified provider email can ask to join a password account", async () => {
+  const owner = await registerUser(app.api, "owner");
+
+  provider.profile = { sub: "google-unverified", email: owner.email, email_verified: false, name: "Impostor" };
+  assert.equal(await finishSignIn(await startSignIn()), "/?error=email_in_use");
+
+  const pending = await app.pool.query("SELECT 1 FROM pending_identity_links WHERE user_id = $1", [owner.id]);
+  assert.equal(pending.rows.length, 0);
+
+  provider.profile = { sub: "google-verified", email: owner.email, email_verified: true, name: "Owner" };
+  assert.match(await finishSignIn(await startSignIn()), /^\/\?linkAccount=[\w-]+&provider=google$/);
+});
+
+test("wrong passwords when confirming a link are throttled", async () => {
+  const owner = await registerUser(app.api, "linker");
+  provider.profile = { sub: "google-linker", email: owner.email, email_verified: true, name: "Linker" };
+  const linkToken = /linkAccount=([\w-]+)/.exec(await finishSignIn(await startSignIn()))[1];
+  const confirm = (password) => app.api.post("/auth/link/confirm", { linkToken, password });
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.equal((await confirm("Wrong-password-123!")).status, 401);
+  }
+  const throttled = await confirm(PASSWORD);
+  assert.equal(throttled.status, 429);
+  assert.equal(throttled.data.code, "too_many_attempts");
+
+  // Once the backoff has passed, the right password links the accounts
+  await new Promise((resolve) => setTimeout(resolve, Number(throttled.headers["retry-after"]) * 1000 + 100));
+  const confirmed = await confirm(PASSWORD);
+  assert.equal(confirmed.status, 200);
+  assert.ok(confirmed.data.token);
+  assert.deepEqual(await linkedProviders({ headers: { Authorization: `Bearer ${confirmed.data.token}` } }), ["google"]);
+});
+
+test("links aren't confirmed for suspended accounts or ones awaiting a password reset", async () => {
+  const owner = await registerUser(app.api, "resetter");
+  provider.profile = { sub: "google-resetter", email: owner.email, email_verified: true, name: "Resetter" };
+  const pendingLink = async () => /linkAccount=([\w-]+)/.exec(await finishSignIn(await startSignIn()))[1];
+
+  await app.pool.query("UPDATE users SET password_reset_required = TRUE WHERE id = $1", [owner.id]);
+  const reset = await app.api.post("/auth/link/confirm", { linkToken: await pendingLink(), password: PASSWORD });
+  assert.equal(reset.status, 403);
+  assert.equal(reset.data.code, "password_reset_required");
+  assert.equal(reset.data.token, undefined);
+
+  await app.pool.query("UPDATE users SET password_reset_required = FALSE, suspended_at = NOW() WHERE id = $1", [owner.id]);
+  const suspended = await app.api.post("/auth/link/confirm", { linkToken: await pendingLink(), password: PASSWORD });
+  assert.equal(suspended.status, 403);
+  assert.equal(suspended.data.code, "account_suspended");
+
+  const identities = await app.pool.query("SELECT 1 FROM user_identities WHERE user_id = $1", [owner.id]);
+  assert.equal(identities.rows.length, 0);
+});
@@ -0,0 +1,65 @@
+// test/integration/reviews.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, registerUser } = require("../support/harness");
+
+let app;
+let author;
+let stranger;
+before(async () => {
+  app = await startApp();
+  author = await registerUser(app.api, "reviewer");
+  stranger = await registerUser(app.api, "stranger");
+});
+after(() => app?.stop());
+
+const review = { rating: 5, title: "Great assistant", text: "Answers quickly and stays on topic." };
+
+test("writing a review needs a session and valid fields", async () => {
+  const anonymous = await app.api.post("/reviews", review);
+  assert.equal(anonymous.status, 401);
+
+  const missing = await app.api.post("/reviews", { rating: 4 }, { headers: author.headers });
+  assert.equal(missing.status, 400);
+
+  const outOfRange = await app.api.post("/reviews", { ...review, rating: 6 }, { headers: author.headers });
+  assert.equal(outOfRange.status, 400);
+});
+
+test("each user writes one review, which everyone can read", async () => {
+  const created = await app.api.post("/reviews", review, { headers: author.headers });
+  assert.equal(created.status, 201);
+  assert.equal(created.data.review.title, review.title);
+  assert.equal(created.data.review.user_id, author.id);
+
+  const second = await app.api.post("/reviews", review, { headers: author.headers });
+  assert.equal(second.status, 400);
+  assert.equal(second.data.hasReview, true);
+  assert.equal(second.data.reviewId, created.data.review.id);
+
+  const list = await app.api.get("/reviews");
+  assert.equal(list.status, 200);
+  assert.equal(list.data.pagination.total, 1);
+  assert.equal(list.data.reviews[0].username, author.username);
+});
+
+test("only the author can change or delete a review", async () => {
+  const list = await app.api.get("/reviews");
+  const reviewId = list.data.reviews[0].id;
+
+  const foreignUpdate = await app.api.put(`/reviews/${reviewId}`, { ...review, rating: 1 }, { headers: stranger.headers });
+  assert.equal(foreignUpdate.status, 404);
+
+  const foreignDelete = await app.api.delete(`/reviews/${reviewId}`, { headers: stranger.headers });
+  assert.equal(foreignDelete.status, 404);
+
+  const updated = await app.api.put(`/reviews/${reviewId}`, { ...review, rating: 3 }, { headers: author.headers });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.data.review.rating, 3);
+
+  const deleted = await app.api.delete(`/reviews/${reviewId}`, { headers: author.headers });
+  assert.equal(deleted.status, 200);
+
+  const after = await app.api.get("/reviews");
+  assert.equal(after.data.pagination.total, 0);
+});
@@ -0,0 +1,101 @@
+// test/integration/search.test.js
+// The stub's embeddings make texts that share words similar, so a message
+// can be found semantically through a word the full-text query doesn't match.
+// Without pgvector (as in the embedded Postgres) similarity is ranked in JS.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, registerUser, waitForEmbeddings } = require("../support/harness");
+
+let app;
+let owner;
+before(async () => {
+  app = await startApp();
+  owner = await registerUser(app.api, "searcher");
+
+  const exchanges = [
+    ["The deploy failed with error ERR-4512 in the build step", "Retry the build after clearing the cache."],
+    ["Purple elephants dance", "That sounds like a lovely dream."],
+    ["Which bread should I bake this weekend?", "Try a simple sourdough loaf."],
+  ];
+  for (const [userMessage, aiMessage] of exchanges) {
+    await app.api.post("/chat/save", { userMessage, aiMessage }, { headers: owner.headers });
+  }
+  await waitForEmbeddings(app.api, owner, exchanges.length * 2);
+});
+after(() => app?.stop());
+
+const search = (body, user = owner) => app.api.post("/chat/search", body, { headers: user.headers });
+
+test("exact identifiers rank first and are highlighted", async () => {
+  const response = await search({ query: "ERR-4512" });
+  assert.equal(response.status, 200);
+  assert.equal(response.data.searchType, "hybrid");
+
+  const [top] = response.data.results;
+  assert.match(top.content, /ERR-4512/);
+  assert.ok(top.matchedBy.includes("exact"));
+  assert.ok(top.matchedBy.includes("keyword"));
+  assert.match(top.snippet, /<mark>/);
+});
+
+test("semantic matches are found without a keyword match", async () => {
+  const response = await search({ query: "purple rockets" });
+  assert.equal(response.status, 200);
+  assert.equal(response.data.searchType, "hybrid");
+  assert.equal(response.data.embeddingModel, "nomic-embed-text:latest");
+
+  assert.equal(response.data.results.length, 1);
+  const [match] = response.data.results;
+  assert.equal(match.content, "Purple elephants dance");
+  assert.deepEqual(match.matchedBy, ["semantic"]);
+  assert.ok(match.similarity > 0.3);
+});
+
+test("search falls back to keywords when embeddings are unavailable", async (t) => {
+  app.ollama.failEmbeddings = true;
+  t.after(() => {
+    app.ollama.failEmbeddings = false;
+  });
+
+  const keyword = await search({ query: "ERR-4512" });
+  assert.equal(keyword.status, 200);
+  assert.equal(keyword.data.searchType, "keyword");
+  assert.equal(keyword.data.embeddingModel, null);
+  assert.match(keyword.data.results[0].content, /ERR-4512/);
+
+  const semanticOnly = await search({ query: "purple rockets" });
+  assert.equal(semanticOnly.status, 200);
+  assert.equal(semanticOnly.data.results.length, 0);
+});
+
+test("filters and cursors narrow the results", async () => {
+  const fromAi = await search({ query: "build", filters: { sender: "ai" } });
+  assert.equal(fromAi.status, 200);
+  assert.ok(fromAi.data.results.length > 0);
+  assert.ok(fromAi.data.results.every((result) => result.role === "ai"));
+
+  const first = await search({ query: "build", limit: 1 });
+  assert.equal(first.data.results.length, 1);
+  assert.ok(first.data.nextCursor);
+
+  const second = await search({ query: "build", limit: 1, cursor: first.data.nextCursor });
+  assert.equal(second.status, 200);
+  assert.equal(second.data.results.length, 1);
+  assert.notEqual(second.data.results[0].id, first.data.results[0].id);
+
+  const badCursor = await search({ query: "build", cursor: "nonsense" });
+  assert.equal(badCursor.status, 400);
+
+  const badFilter = await search({ query: "build", filters: { sender: "robot" } });
+  assert.equal(badFilter.status, 400);
+});
+
+test("queries must be long enough, and only search the user's own messages", async () => {
+  const short = await search({ query: "ab" });
+  assert.equal(short.status, 400);
+
+  const stranger = await registerUser(app.api, "stranger");
+  const foreign = await search({ query: "ERR-4512" }, stranger);
+  assert.equal(foreign.status, 200);
+  assert.equal(foreign.data.results.length, 0);
+});
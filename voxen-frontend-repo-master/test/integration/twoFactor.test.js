@@ -0,0 +1,84 @@
+// test/integration/twoFactor.test.js
+// Wrong 2FA codes are throttled per account, whichever endpoint takes them
+// and however many times the password is entered again.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { PASSWORD, startApp, registerUser } = require("../support/harness");
+
+let app;
+let generateTotp;
+let currentStep;
+before(async () => {
+  app = await startApp();
+  // Loads the app's database pool, so only once startApp has set it up
+  ({ generateTotp, currentStep } = require("../../services/twoFactor"));
+});
+after(() => app?.stop());
+
+// A user with 2FA turned on
+const enrolledUser = async (name) => {
+  const user = await registerUser(app.api, name);
+  const setup = await app.api.post("/auth/2fa/setup", {}, { headers: user.headers });
+  const enabled = await app.api.post(
+    "/auth/2fa/enable",
+    { code: generateTotp(setup.data.secret, currentStep()) },
+    { headers: user.headers }
+  );
+  assert.equal(enabled.status, 200);
+  return { ...user, secret: setup.data.secret };
+};
+
+// Far outside the accepted window
+const wrongCode = (user) => generateTotp(user.secret, currentStep() + 100);
+
+const signIn = async (user) => {
+  const login = await app.api.post("/auth/login", { email: user.email, password: PASSWORD });
+  assert.equal(login.data.mfaRequired, true);
+  return login.data.mfaToken;
+};
+
+test("signing in again doesn't buy more code guesses", async () => {
+  const user = await enrolledUser("guessed");
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const verify = await app.api.post("/auth/2fa/verify", { mfaToken: await signIn(user), code: wrongCode(user) });
+    assert.equal(verify.status, 401);
+    assert.equal(verify.data.code, "invalid_mfa_code");
+  }
+
+  const throttled = await app.api.post("/auth/2fa/verify", { mfaToken: await signIn(user), code: wrongCode(user) });
+  assert.equal(throttled.status, 429);
+  assert.equal(throttled.data.code, "too_many_attempts");
+  assert.ok(Number(throttled.headers["retry-after"]) > 0);
+});
+
+test("codes for new recovery codes or turning 2FA off are throttled too", async () => {
+  const user = await enrolledUser("stolen");
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const regenerate = await app.api.post("/auth/2fa/recovery-codes", { code: wrongCode(user) }, { headers: user.headers });
+    assert.equal(regenerate.status, 401);
+  }
+  const regenerate = await app.api.post("/auth/2fa/recovery-codes", { code: wrongCode(user) }, { headers: user.headers });
+  assert.equal(regenerate.status, 429);
+
+  const disable = await app.api.post(
+    "/auth/2fa/disable",
+    { password: PASSWORD, code: generateTotp(user.secret, currentStep() + 1) },
+    { headers: user.headers }
+  );
+  assert.equal(disable.status, 429);
+  const status = await app.api.get("/auth/2fa", { headers: user.headers });
+  assert.equal(status.data.enabled, true);
+});
+
+test("codes confirming an account deletion are throttled", async () => {
+  const user = await enrolledUser("leaving");
+  const requestDeletion = (code) => app.api.post("/user/deletion", { password: PASSWORD, code }, { headers: user.headers });
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.equal((await requestDeletion(wrongCode(user))).data.code, "invalid_mfa_code");
+  }
+  const throttled = await requestDeletion(generateTotp(user.secret, currentStep() + 1));
+  assert.equal(throttled.status, 429);
+});
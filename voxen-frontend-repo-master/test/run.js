@@ -0,0 +1,142 @@
+// test/run.js
+// `npm test`: starts a throwaway Postgres, migrates a template database and
+// runs the integration tests in test/integration/ with Node's test runner.
+// Each test file works on its own copy of the template (see support/harness.js).
+//   npm test                                     every test file
+//   npm test -- test/integration/search.test.js  just these files
+// With TEST_DB_HOST set (and TEST_DB_PORT, TEST_DB_USER, TEST_DB_PASSWORD),
+// an existing Postgres server is used instead of the embedded one.
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { Client } = require("pg");
+
+const ROOT = path.join(__dirname, "..");
+const TEMPLATE_DATABASE = `voxen_test_template_${process.pid}`;
+
+const findFreePort = () =>
+  new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+// Resolves with the exit code once the command finishes
+const run = (args, { env, quiet = false } = {}) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, {
+      cwd: ROOT,
+      env: { ...process.env, ...env },
+      stdio: quiet ? ["ignore", "pipe", "pipe"] : "inherit",
+    });
+
+    let output = "";
+    if (quiet) {
+      child.stdout.on("data", (chunk) => (output += chunk));
+      child.stderr.on("data", (chunk) => (output += chunk));
+    }
+    child.on("error", reject);
+    child.on("exit", (code, signal) => {
+      if (quiet && code !== 0) process.stderr.write(output);
+      resolve(code ?? (signal ? 1 : 0));
+    });
+  });
+
+// Connection settings of the server the tests run against, and how to stop it
+const startPostgres = async () => {
+  if (process.env.TEST_DB_HOST) {
+    return {
+      config: {
+        host: process.env.TEST_DB_HOST,
+        port: parseInt(process.env.TEST_DB_PORT) || 5432,
+        user: process.env.TEST_DB_USER || "postgres",
+        password: process.env.TEST_DB_PASSWORD || "password",
+      },
+      stop: async () => {},
+    };
+  }
+
+  const { default: EmbeddedPostgres } = await import("embedded-postgres");
+  const config = { host: "127.0.0.1", port: await findFreePort(), user: "postgres", password: "password" };
+  const postgres = new EmbeddedPostgres({
+    databaseDir: fs.mkdtempSync(path.join(os.tmpdir(), "voxen-test-pg-")),
+    port: config.port,
+    user: config.user,
+    password: config.password,
+    persistent: false,
+    // Postgres won't run as root; in a root container it runs as "postgres"
+    createPostgresUser: true,
+    onLog: () => {},
+  });
+
+  await postgres.initialise();
+  await postgres.start();
+  return { config, stop: () => postgres.stop() };
+};
+
+const withClient = async (config, fn) => {
+  const client = new Client({ ...config, database: "postgres" });
+  await client.connect();
+  try {
+    return await fn(client);
+  } finally {
+    await client.end();
+  }
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const files = args.filter((arg) => !arg.startsWith("-"));
+  const options = args.filter((arg) => arg.startsWith("-"));
+
+  console.log("🐘 Starting a throwaway Postgres...");
+  const postgres = await startPostgres();
+
+  try {
+    const dbEnv = {
+      DB_HOST: postgres.config.host,
+      DB_PORT: String(postgres.config.port),
+      DB_USER: postgres.config.user,
+      DB_PASSWORD: postgres.config.password,
+    };
+
+    await withClient(postgres.config, (client) => client.query(`CREATE DATABASE "${TEMPLATE_DATABASE}"`));
+    try {
+      console.log("⬆️ Migrating the template database...");
+      const migrated = await run(["scripts/migrate.js", "up"], {
+        env: { ...dbEnv, DB_NAME: TEMPLATE_DATABASE },
+        quiet: true,
+      });
+      if (migrated !== 0) return migrated;
+
+      // One file at a time: every file clones the template, which Postgres
+      // only allows while nobody else is connected to it
+      return await run(["--test", "--test-concurrency=1", ...options, ...(files.length ? files : ["test/integration/"])], {
+        env: {
+          TEST_DB_HOST: postgres.config.host,
+          TEST_DB_PORT: String(postgres.config.port),
+          TEST_DB_USER: postgres.config.user,
+          TEST_DB_PASSWORD: postgres.config.password,
+          TEST_DB_TEMPLATE: TEMPLATE_DATABASE,
+        },
+      });
+    } finally {
+      await withClient(postgres.config, (client) => client.query(`DROP DATABASE IF EXISTS "${TEMPLATE_DATABASE}"`));
+    }
+  } finally {
+    await postgres.stop();
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error("❌ Test run failed:", error.message);
+    return 1;
+  })
+  // embedded-postgres' exit hook would otherwise end the process with 0
+  .then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,147 @@
+// test/support/harness.js
+// Boots the app for one test file: its own database cloned from the
+// migrated template, a stub Ollama and the Express app on a free port.
+// Run the tests with `npm test`, which prepares the template.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { Client } = require("pg");
+const { startOllamaStub } = require("./ollamaStub");
+
+const PASSWORD = "Sup3r-secret-pass!";
+
+const serverConfig = () => {
+  if (!process.env.TEST_DB_TEMPLATE) {
+    throw new Error("Run the integration tests with `npm test`, which sets up their database");
+  }
+  return {
+    host: process.env.TEST_DB_HOST,
+    port: parseInt(process.env.TEST_DB_PORT),
+    user: process.env.TEST_DB_USER,
+    password: process.env.TEST_DB_PASSWORD,
+    database: "postgres",
+  };
+};
+
+const adminQuery = async (sql) => {
+  const client = new Client(serverConfig());
+  await client.connect();
+  try {
+    await client.query(sql);
+  } finally {
+    await client.end();
+  }
+};
+
+// The app logs every request; TEST_LOGS=1 shows its output
+const silenceConsole = () => {
+  if (process.env.TEST_LOGS) return;
+  for (const method of ["log", "info", "warn", "error"]) console[method] = () => {};
+};
+
+// Start everything; call stop() when the file's tests are done. env adds
+// settings, e.g. a sign-in provider pointing at test/support/oauthStub.js
+const startApp = async ({ env = {} } = {}) => {
+  const config = serverConfig();
+  const database = `voxen_test_${process.pid}`;
+  await adminQuery(`CREATE DATABASE "${database}" TEMPLATE "${process.env.TEST_DB_TEMPLATE}"`);
+
+  const ollama = await startOllamaStub();
+  const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), "voxen-test-mail-"));
+
+  // Read when the app's modules load, so set before requiring it
+  Object.assign(process.env, {
+    DB_HOST: config.host,
+    DB_PORT: String(config.port),
+    DB_USER: config.user,
+    DB_PASSWORD: config.password,
+    DB_NAME: database,
+    OLLAMA_BASE_URL: ollama.url,
+    // Hosted providers answer 404 from the stub instead of reaching the internet
+    OPENAI_BASE_URL: `${ollama.url}/v1`,
+    OPENROUTER_BASE_URL: `${ollama.url}/v1`,
+    ANTHROPIC_BASE_URL: `${ollama.url}/v1`,
+    JWT_SECRET: "test-jwt-secret",
+    SESSION_SECRET: "test-session-secret",
+    MAIL_TRANSPORT: "file",
+    MAIL_FILE_DIR: mailDir,
+    UNVERIFIED_ACCOUNT_MODE: "full",
+    ...env,
+  });
+  silenceConsole();
+
+  const app = require("../../server");
+  const pool = require("../../config/db");
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+
+  // Resolves with the response whatever its status
+  const api = axios.create({
+    baseURL: `http://127.0.0.1:${server.address().port}/api`,
+    validateStatus: () => true,
+  });
+
+  const stop = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    // Background work (embeddings, titles) may still hold a client
+    await pool.end();
+    await ollama.close();
+    fs.rmSync(mailDir, { recursive: true, force: true });
+    await adminQuery(`DROP DATABASE IF EXISTS "${database}" WITH (FORCE)`);
+  };
+
+  return { api, pool, ollama, mailDir, stop };
+};
+
+// Newest mail sent to an address by the file transport
+const readLatestMail = (mailDir, to) => {
+  const mails = fs
+    .readdirSync(mailDir)
+    .sort()
+    .map((file) => JSON.parse(fs.readFileSync(path.join(mailDir, file), "utf8")))
+    .filter((mail) => mail.to === to);
+  return mails[mails.length - 1] || null;
+};
+
+// Poll until check() returns something truthy, for work the app does in
+// the background
+const waitFor = async (check, { timeout = 5000, interval = 50, message = "Timed out waiting" } = {}) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(message);
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+};
+
+// Register a password account; names only need to be unique per file
+const registerUser = async (api, name) => {
+  const email = `${name}@example.com`;
+  const response = await api.post("/auth/register", {
+    fullName: `Test ${name}`,
+    email,
+    username: name,
+    password: PASSWORD,
+  });
+  if (response.status !== 201) {
+    throw new Error(`Could not register ${name}: ${JSON.stringify(response.data)}`);
+  }
+
+  const { user, token, refreshToken } = response.data;
+  return { ...user, password: PASSWORD, token, refreshToken, headers: { Authorization: `Bearer ${token}` } };
+};
+
+// Wait for the messages' embeddings written after a save
+const waitForEmbeddings = (api, user, count) =>
+  waitFor(
+    async () => {
+      const stats = await api.get("/chat/embeddings/stats", { headers: user.headers });
+      return stats.data.messages_with_embeddings >= count;
+    },
+    { message: `Expected ${count} embeddings` }
+  );
+
+module.exports = { PASSWORD, startApp, readLatestMail, waitFor, registerUser, waitForEmbeddings };
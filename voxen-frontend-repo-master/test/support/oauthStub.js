@@ -0,0 +1,44 @@
+// test/support/oauthStub.js
+// Stands in for Google's OAuth endpoints. The tests drive the redirects
+// themselves, so only the token and userinfo endpoints are called by the
+// app; set `profile` to choose who signs in.
+const http = require("http");
+
+const startOAuthStub = async () => {
+  const stub = {
+    url: null,
+    profile: { sub: "google-1", email: "someone@example.com", email_verified: true, name: "Some One" },
+  };
+
+  const server = http.createServer((req, res) => {
+    const send = (status, data) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(data));
+    };
+
+    // Drain the form-encoded token request before answering
+    req.resume();
+    req.on("end", () => {
+      const { pathname } = new URL(req.url, stub.url);
+      if (pathname === "/token") return send(200, { access_token: "stub-access-token", token_type: "Bearer", expires_in: 3600 });
+      if (pathname === "/userinfo") return send(200, stub.profile);
+      send(404, { error: "not found" });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  stub.close = () => new Promise((resolve) => server.close(resolve));
+
+  // Settings that point the app's Google sign-in here
+  stub.env = {
+    GOOGLE_CLIENT_ID: "stub-client",
+    GOOGLE_CLIENT_SECRET: "stub-secret",
+    GOOGLE_AUTHORIZATION_URL: `${stub.url}/authorize`,
+    GOOGLE_TOKEN_URL: `${stub.url}/token`,
+    GOOGLE_USER_PROFILE_URL: `${stub.url}/userinfo`,
+  };
+  return stub;
+};
+
+module.exports = { startOAuthStub };
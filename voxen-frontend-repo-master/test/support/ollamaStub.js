@@ -0,0 +1,115 @@
+// test/support/ollamaStub.js
+// Stands in for Ollama's HTTP API. Embeddings are deterministic: every word
+// is hashed into one of EMBEDDING_DIMENSIONS buckets, so texts that share
+// words point the same way and texts that share none are orthogonal.
+const http = require("http");
+
+const EMBEDDING_DIMENSIONS = 768;
+
+const MODELS = [
+  { name: "qwen2.5:0.5b", details: { family: "qwen2" } },
+  { name: "nomic-embed-text:latest", details: { family: "nomic-bert" } },
+];
+
+const words = (text) => String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+
+// FNV-1a, so a word lands in the same bucket on every run
+const bucketFor = (word) => {
+  let hash = 0x811c9dc5;
+  for (const char of word) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash % EMBEDDING_DIMENSIONS;
+};
+
+const embed = (text) => {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const word of words(text)) vector[bucketFor(word)] += 1;
+  return vector;
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+
+// Listens on a free port. The returned stub records every request and can
+// be told to fail embeddings or chat, as an Ollama without the model would.
+const startOllamaStub = async () => {
+  const stub = {
+    url: null,
+    requests: [],
+    failEmbeddings: false,
+    failChat: false,
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status, data) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(data));
+    };
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      return send(400, { error: "invalid JSON" });
+    }
+    stub.requests.push({ method: req.method, path: req.url, body });
+
+    if (req.method === "POST" && req.url === "/api/embeddings") {
+      if (stub.failEmbeddings) return send(500, { error: `model "${body.model}" not found` });
+      return send(200, { embedding: embed(body.prompt) });
+    }
+
+    if (req.method === "POST" && req.url === "/api/chat") {
+      // Ollama reports a failure mid-stream as a line of its own
+      if (stub.failChat && body.stream === false) return send(500, { error: `model "${body.model}" not found` });
+      if (stub.failChat) return send(200, { error: `model "${body.model}" not found` });
+
+      const last = body.messages?.[body.messages.length - 1]?.content || "";
+      const reply = `Stub reply to: ${last.substring(0, 40)}`;
+
+      if (body.stream === false) {
+        return send(200, { model: body.model, message: { role: "assistant", content: reply }, done: true });
+      }
+
+      res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+      for (const part of reply.match(/.{1,8}/g)) {
+        res.write(JSON.stringify({ model: body.model, message: { role: "assistant", content: part }, done: false }) + "\n");
+      }
+      return res.end(JSON.stringify({ model: body.model, done: true }) + "\n");
+    }
+
+    if (req.method === "GET" && req.url === "/api/tags") {
+      return send(200, { models: MODELS });
+    }
+
+    if (req.method === "POST" && req.url === "/api/show") {
+      const embedding = /embed/.test(body.model);
+      return send(200, {
+        model_info: { [embedding ? "nomic-bert.context_length" : "qwen2.context_length"]: embedding ? 2048 : 32768 },
+        capabilities: embedding ? ["embedding"] : ["completion"],
+      });
+    }
+
+    send(404, { error: "not found" });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  stub.close = () => new Promise((resolve) => server.close(resolve));
+  return stub;
+};
+
+module.exports = { EMBEDDING_DIMENSIONS, embed, startOllamaStub };